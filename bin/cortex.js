@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+/**
+ * cortex - Command-line tool for operating a Cortex store
+ * Revolutionary AGI Memory Management System - CLI
+ *
+ * Usage: cortex <command> [arguments] [options]
+ *
+ * Exit codes: 0 success, 1 error, 2 usage error, 3 entity not found, 4 access denied
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const CortexManager = require('../src/core/CortexManager');
+const Logger = require('../src/utils/Logger');
+const { NotFoundError } = require('../src/utils/errors');
+
+const EXIT = { OK: 0, ERROR: 1, USAGE: 2, NOT_FOUND: 3, DENIED: 4 };
+
+const USAGE = `Usage: cortex <command> [arguments] [options]
+
+Commands:
+  init                     Create (or open) the store and write the L0 manifest
+  get <name>               Print an entity (--at <commit|ISO time> for a past version)
+  put <file|->             Create or replace entities from a JSON object or array (--merge to merge)
+  search <query...>        Full-text search (--limit, --offset, --type)
+  stats                    Performance metrics (--prometheus for the Prometheus text format)
+  refs                     List L0 lightweight references (--limit, --offset)
+  export [file]            Write the knowledge graph as MCP JSONL (stdout by default, --type)
+  import <file|->          Read an MCP JSONL knowledge graph (--dry-run, --on-conflict)
+  verify                   Cross-check L0 references against L1 (exit 1 on problems)
+  rebuild-l0               Regenerate all L0 references by scanning L1
+  reencrypt                Encrypt every L1 file not yet under the active key (--dry-run)
+  rotate-key               Activate a new encryption key and re-encrypt all L1 files
+  erase-subject <name...>  Erase a data subject everywhere and print the signed report
+                           (--dry-run, --purge-history to also rewrite git history)
+  export-subject <name...> Print everything held about a data subject as JSON
+                           (both match whole words; --substring to match inside words)
+
+Options:
+  -d, --dir <path>         Store directory (default: $CORTEX_DIR or .cortex)
+  -c, --config <file>      JSON file with CortexManager configuration
+      --storage <type>     Storage adapter: git, filesystem or memory
+      --keyfile <file>     Encrypt L1 files with keys from this keyfile (created by init)
+      --principal <id>     Caller identity for access control
+      --roles <a,b>        Caller roles for access control
+      --json               Machine-readable JSON output
+  -v, --verbose            Log store activity to stderr
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+  dir: { type: 'string', short: 'd' },
+  config: { type: 'string', short: 'c' },
+  storage: { type: 'string' },
+  principal: { type: 'string' },
+  roles: { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+  at: { type: 'string' },
+  merge: { type: 'boolean' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  type: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  'on-conflict': { type: 'string' },
+  prometheus: { type: 'boolean' },
+  keyfile: { type: 'string' },
+  'purge-history': { type: 'boolean' },
+  substring: { type: 'boolean' }
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const commands = {
+  async init(cortex, args, options) {
+    await cortex.l0Bootstrap.persist();
+    if (cortex.l1Repository.cipher) {
+      // Creates the keyfile now rather than on the first write
+      await cortex.l1Repository.cipher.provider.getActiveKey();
+    }
+    const { total } = await cortex.listReferences({ principal: options.principal });
+    return {
+      result: { success: true, dir: options.dir, entities: total, encrypted: Boolean(cortex.l1Repository.cipher) },
+      text: `Initialized Cortex store in ${options.dir} (${total} entities${cortex.l1Repository.cipher ? ', encrypted' : ''})`
+    };
+  },
+
+  async get(cortex, [name], options) {
+    requireArgument(name, 'get <name>');
+    const entity = await cortex.getEntity(name, { at: options.at, principal: options.principal });
+
+    const lines = [`${entity.name} (${entity.entityType || 'untyped'})`];
+    if (entity.tags && entity.tags.length > 0) lines.push(`tags: ${entity.tags.join(', ')}`);
+    if (entity.metadata && entity.metadata.storedAt) lines.push(`stored: ${entity.metadata.storedAt}`);
+    (entity.observations || []).forEach(observation => lines.push(`  - ${observation}`));
+    return { result: entity, text: lines.join('\n') };
+  },
+
+  async put(cortex, [file], options) {
+    requireArgument(file, 'put <file|->');
+    const content = await readInput(file);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new UsageError(`${file} is not valid JSON: ${error.message}`);
+    }
+
+    const results = [];
+    for (const entity of Array.isArray(parsed) ? parsed : [parsed]) {
+      if (!entity || typeof entity.name !== 'string') {
+        throw new UsageError('Each entity needs a string "name"');
+      }
+
+      // updateEntity also finds entities the L0 budget demoted; only unknown names are created
+      const { name, ...data } = entity;
+      let status = 'updated';
+      let result = await cortex.updateEntity(name, data, { mode: options.merge ? 'merge' : 'replace', principal: options.principal })
+        .catch(error => {
+          if (!(error instanceof NotFoundError)) throw error;
+          return null;
+        });
+      if (!result) {
+        status = 'created';
+        result = await cortex.createEntity(entity, { principal: options.principal });
+      }
+      results.push({ entityName: name, status, commit: result.commit || null });
+    }
+
+    return {
+      result: { success: true, entities: results },
+      text: results.map(r => `${r.status} ${r.entityName}${r.commit ? ` (${r.commit.substring(0, 7)})` : ''}`).join('\n')
+    };
+  },
+
+  async search(cortex, terms, options) {
+    requireArgument(terms[0], 'search <query...>');
+    const query = terms.join(' ');
+    const { total, results } = await cortex.search(query, {
+      limit: options.limit,
+      offset: options.offset,
+      filters: options.type ? { entityType: options.type } : undefined,
+      principal: options.principal
+    });
+
+    const lines = results.map(r => `${r.score.toFixed(3)}  ${r.entityName} (${r.entityType || 'untyped'})` +
+      (r.snippets && r.snippets.length > 0 ? `\n       ${r.snippets[0]}` : ''));
+    lines.push(`${results.length} of ${total} result(s) for "${query}"`);
+    return { result: { query, total, results }, text: lines.join('\n') };
+  },
+
+  async stats(cortex, args, options) {
+    if (options.prometheus) {
+      const text = cortex.getPrometheusMetrics().trimEnd();
+      return { result: text, text };
+    }
+    const metrics = cortex.getPerformanceMetrics();
+    return { result: metrics, text: formatTree(metrics) };
+  },
+
+  async refs(cortex, args, options) {
+    const { total, references } = await cortex.listReferences({
+      offset: options.offset,
+      limit: options.limit,
+      principal: options.principal
+    });
+
+    const lines = references.map(r =>
+      `${r.entityName.padEnd(32)} ${String(r.entityType || '-').padEnd(16)} ${String(r.priority || '-').padEnd(9)} ${r.summary || ''}`);
+    lines.push(`${references.length} of ${total} reference(s)`);
+    return { result: { total, references }, text: lines.join('\n') };
+  },
+
+  async export(cortex, [file], options) {
+    const filter = options.type ? { entityType: options.type } : undefined;
+    if (!file || file === '-') {
+      // The graph itself is the output; nothing else may go to stdout
+      const report = await cortex.exportGraph(process.stdout, { filter, principal: options.principal });
+      report.failures.forEach(f => process.stderr.write(`cortex: skipped ${f.fileReference}: ${f.error}\n`));
+      return { exitCode: report.success ? EXIT.OK : EXIT.ERROR };
+    }
+
+    const stream = fs.createWriteStream(path.resolve(file));
+    try {
+      const report = await cortex.exportGraph(stream, { filter, principal: options.principal });
+      const lines = [`Exported ${report.entities} entities and ${report.relations} relations to ${file}`];
+      report.failures.forEach(f => lines.push(`  skipped ${f.fileReference}: ${f.error}`));
+      return { result: report, text: lines.join('\n'), exitCode: report.success ? EXIT.OK : EXIT.ERROR };
+    } finally {
+      await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+    }
+  },
+
+  async import(cortex, [file], options) {
+    requireArgument(file, 'import <file|->');
+    const source = file === '-' ? process.stdin : path.resolve(file);
+    const report = await cortex.importGraph(source, {
+      dryRun: options['dry-run'],
+      onConflict: options['on-conflict'],
+      principal: options.principal
+    });
+
+    const lines = [`${report.dryRun ? 'Dry run: ' : ''}${report.created} created, ${report.updated} updated, ` +
+      `${report.skipped} skipped, ${report.failed} failed`];
+    report.records.filter(r => r.status === 'failed').forEach(r => lines.push(`  line ${r.line}: ${r.error}`));
+    return { result: report, text: lines.join('\n'), exitCode: report.failed > 0 ? EXIT.ERROR : EXIT.OK };
+  },
+
+  async verify(cortex) {
+    const report = await cortex.verify();
+    const lines = [`${report.valid ? 'OK' : 'PROBLEMS FOUND'}: ${report.references} references, ${report.files} L1 files`];
+    report.danglingReferences.forEach(r => lines.push(`  dangling   ${r.entityName} -> ${r.fileReference}`));
+    report.orphanedFiles.forEach(r => lines.push(`  orphaned   ${r.fileReference} (${r.entityName})`));
+    report.unreadableFiles.forEach(r => lines.push(`  unreadable ${r.fileReference}: ${r.error}`));
+    report.schemaFailures.forEach(r => lines.push(`  schema     ${r.entityName}: ${r.errors.map(e => `${e.path} ${e.message}`).join('; ')}`));
+    report.staleReferences.forEach(r => lines.push(`  stale      ${r.entityName}: ${r.fields.map(f => f.field).join(', ')}`));
+    return { result: report, text: lines.join('\n'), exitCode: report.valid ? EXIT.OK : EXIT.ERROR };
+  },
+
+  async 'rebuild-l0'(cortex, args, options) {
+    const report = await cortex.rebuildL0({ principal: options.principal });
+    const lines = [`Rebuilt L0: ${report.references} references (${report.previousReferences} before), ` +
+      `${report.demoted.length} demoted by budget`];
+    report.skipped.forEach(r => lines.push(`  skipped ${r.fileReference}: ${r.error}`));
+    return { result: report, text: lines.join('\n'), exitCode: report.success ? EXIT.OK : EXIT.ERROR };
+  },
+
+  async reencrypt(cortex, args, options) {
+    const report = await cortex.reencrypt({ dryRun: options['dry-run'], principal: options.principal });
+    return {
+      result: report,
+      text: `${report.dryRun ? 'Dry run: ' : ''}${report.rewritten.length} file(s) re-encrypted with key ${report.keyId}, ` +
+        `${report.skipped} already current, ${report.moved.length} moved to keyed names`
+    };
+  },
+
+  async 'rotate-key'(cortex, args, options) {
+    const report = await cortex.rotateEncryptionKey({ principal: options.principal });
+    return {
+      result: report,
+      text: `Rotated encryption key ${report.previousKeyId} -> ${report.keyId}; ${report.rewritten.length} file(s) re-encrypted`
+    };
+  },
+
+  async 'erase-subject'(cortex, words, options) {
+    requireArgument(words[0], 'erase-subject <name...>');
+    const report = await cortex.eraseSubject(words.join(' '), {
+      dryRun: options['dry-run'],
+      purgeHistory: options['purge-history'],
+      substring: options.substring,
+      principal: options.principal
+    });
+
+    const { layers } = report;
+    const lines = [`${report.dryRun ? 'Dry run: ' : ''}${report.entitiesErasedCount} entities erased, ` +
+      `${report.entitiesScrubbed.length} scrubbed (report ${report.id})`];
+    report.entitiesScrubbed.forEach(e => lines.push(`  scrubbed ${e.entityName}: ${e.observationsRemoved} observation(s)`));
+    lines.push(`  L0 references ${layers.l0References}, access patterns ${layers.accessPatterns}, ` +
+      `relations ${layers.relations}, audit entries pseudonymized ${layers.auditEntries}, blobs ${layers.blobs === null ? '-' : layers.blobs}, ` +
+      `history ${!layers.history ? 'kept' : layers.history.failed ? 'purge FAILED' : `${layers.history.paths} path(s) purged`}`);
+    lines.push(`  retained: ${report.retained.auditEntries} audit entries, ${report.retained.unreadableFiles} unreadable file(s)`);
+    if (report.failure) {
+      lines.push(`  stopped at step '${report.failure.step}': ${report.failure.error} (changes so far ${report.failure.pendingChanges})`);
+    }
+    lines.push(report.signature ? `  signed with key ${report.signature.keyId}` : '  unsigned (no erasure.signingKeyFile configured)');
+    return { result: report, text: lines.join('\n'), exitCode: report.complete ? EXIT.OK : EXIT.ERROR };
+  },
+
+  async 'export-subject'(cortex, words, options) {
+    requireArgument(words[0], 'export-subject <name...>');
+    const exported = await cortex.exportSubject(words.join(' '), { substring: options.substring, principal: options.principal });
+    return { result: exported, text: JSON.stringify(exported, null, 2) };
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    return fail(new UsageError(error.message), false);
+  }
+
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help || !command) {
+    (values.help ? process.stdout : process.stderr).write(USAGE);
+    return values.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  const run = commands[command];
+  if (!run) {
+    return fail(new UsageError(`Unknown command '${command}'`), values.json);
+  }
+
+  try {
+    const options = resolveOptions(values);
+    const cortex = new CortexManager({
+      ...(await loadConfig(options, command)),
+      // stdout is reserved for command output
+      logger: new Logger({ level: values.verbose ? 'debug' : 'silent', stream: process.stderr })
+    });
+    await cortex.initialize();
+
+    const output = await run(cortex, args, options);
+    await cortex.close();
+    if (output && output.result !== undefined) {
+      process.stdout.write(`${values.json ? JSON.stringify(output.result, null, 2) : output.text}\n`);
+    }
+    return output && output.exitCode !== undefined ? output.exitCode : EXIT.OK;
+  } catch (error) {
+    return fail(error, values.json);
+  }
+}
+
+function resolveOptions(values) {
+  const options = {
+    ...values,
+    dir: path.resolve(values.dir || process.env.CORTEX_DIR || '.cortex'),
+    limit: integerOption(values.limit, 'limit'),
+    offset: integerOption(values.offset, 'offset')
+  };
+
+  if (values.principal) {
+    options.principal = {
+      id: values.principal,
+      roles: (values.roles || '').split(',').map(role => role.trim()).filter(Boolean)
+    };
+  } else if (values.roles) {
+    throw new UsageError('--roles requires --principal');
+  }
+
+  return options;
+}
+
+async function loadConfig(options, command) {
+  let fileConfig = {};
+  if (options.config) {
+    try {
+      fileConfig = JSON.parse(await fs.promises.readFile(path.resolve(options.config), 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Cannot load config ${options.config}: ${error.message}`);
+    }
+  }
+
+  return {
+    localPath: path.join(options.dir, 'l1'),
+    manifestPath: path.join(options.dir, 'l0-manifest.json'),
+    auditLogPath: path.join(options.dir, 'audit.log'),
+    ...fileConfig,
+    ...(options.storage ? { storage: options.storage } : {}),
+    // Only init may create a keyfile; elsewhere a mistyped path must fail, not start a new key
+    ...(options.keyfile
+      ? { encryption: { ...fileConfig.encryption, keyfile: path.resolve(options.keyfile), create: command === 'init' } }
+      : {})
+  };
+}
+
+function integerOption(value, name) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+function requireArgument(value, usage) {
+  if (value === undefined) {
+    throw new UsageError(`Missing argument. Usage: cortex ${usage}`);
+  }
+}
+
+async function readInput(file) {
+  if (file !== '-') {
+    return fs.promises.readFile(path.resolve(file), 'utf8');
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT.USAGE;
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.code === 'EACCES') return EXIT.DENIED;
+    if (cause instanceof NotFoundError) return EXIT.NOT_FOUND;
+  }
+  return EXIT.ERROR;
+}
+
+function fail(error, json) {
+  const exitCode = exitCodeFor(error);
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ error: { message: error.message, code: error.code || null, exitCode } }, null, 2)}\n`);
+  } else {
+    process.stderr.write(`cortex: ${error.message}\n`);
+    if (exitCode === EXIT.USAGE) process.stderr.write('Run "cortex --help" for usage.\n');
+  }
+  return exitCode;
+}
+
+function formatTree(value, indent = '') {
+  return Object.entries(value).map(([key, entry]) =>
+    (entry && typeof entry === 'object' && !Array.isArray(entry) && Object.keys(entry).length > 0
+      ? `${indent}${key}:\n${formatTree(entry, `${indent}  `)}`
+      : `${indent}${key}: ${Array.isArray(entry) ? entry.join(', ') : (entry && typeof entry === 'object' ? '{}' : entry)}`)).join('\n');
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CortexManager = require('../src/core/CortexManager');
+
+const CLI = path.join(__dirname, 'cortex.js');
+
+function cortexCli(dir, ...args) {
+  const result = spawnSync(process.execPath, [CLI, '--dir', dir, '--storage', 'filesystem', '--json', ...args], {
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return { status: result.status, output: result.stdout ? JSON.parse(result.stdout) : null, stderr: result.stderr };
+}
+
+test('put creates, then updates, also entities the L0 budget demoted', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-cli-'));
+  const file = path.join(dir, 'ada.json');
+  // Bob keeps L0 non-empty, so startup does not rebuild it from L1
+  fs.writeFileSync(file, JSON.stringify([
+    { name: 'Ada', entityType: 'Person', observations: ['mathematician'] },
+    { name: 'Bob', entityType: 'Person', observations: [] }
+  ]));
+
+  assert.equal(cortexCli(dir, 'init').status, 0);
+  assert.deepEqual(cortexCli(dir, 'put', file).output.entities.map(entry => entry.status), ['created', 'created']);
+  assert.deepEqual(cortexCli(dir, 'put', file).output.entities.map(entry => entry.status), ['updated', 'updated']);
+
+  const cortex = new CortexManager({
+    storage: 'filesystem',
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0-manifest.json'),
+    auditLogPath: null,
+    logLevel: 'silent'
+  });
+  await cortex.initialize();
+  await cortex.l0Bootstrap.removeLightweightReference('Ada');
+  await cortex.close();
+
+  fs.writeFileSync(file, JSON.stringify({ name: 'Ada', entityType: 'Person', observations: ['programmer'] }));
+  assert.equal(cortexCli(dir, 'put', file).output.entities[0].status, 'updated');
+  assert.deepEqual(cortexCli(dir, 'get', 'Ada').output.observations, ['programmer']);
+
+  const missing = cortexCli(dir, 'get', 'Nobody');
+  assert.equal(missing.status, 3);
+});
+
+test('help loads every module the CLI needs', () => {
+  assert.match(execFileSync(process.execPath, [CLI, '--help'], { encoding: 'utf8', timeout: 30000 }), /Usage: cortex/);
+});
@@ -0,0 +1,454 @@
+/**
+ * HttpGateway - Embeddable JSON HTTP API for CortexManager
+ * Revolutionary AGI Memory Management System - API Gateway
+ *
+ * Routes (relative to `basePath`):
+ *
+ *   GET    /health                      Initialization status and health checks (503 when unhealthy)
+ *   GET    /metrics                     getPerformanceMetrics(); Prometheus text with
+ *                                       ?format=prometheus or Accept: text/plain
+ *   GET    /entities?offset&limit       L0 lightweight references (paginated)
+ *   POST   /entities                    Create an entity
+ *   GET    /entities/:name?at=          Read an entity (optionally a historical version)
+ *   PUT    /entities/:name              Replace an entity
+ *   PATCH  /entities/:name              Merge into an entity
+ *   DELETE /entities/:name              Delete an entity
+ *   POST   /entities/:name/observations Append observations ({ observations: [...] })
+ *   GET    /entities/:name/versions     Version history (paginated)
+ *   GET    /search?q&offset&limit&...   Full-text search
+ *
+ * Entity responses carry an ETag derived from the entity's content version;
+ * reads honor If-None-Match, writes honor If-Match. The If-Match check and the
+ * write run under one per-entity lock, so a concurrent request to this gateway
+ * cannot change the entity in between. Errors always use the
+ * body `{ error: { status, code, message, details? } }`.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const http = require('http');
+const { entityHash } = require('../utils/hash');
+const { parseSize } = require('../utils/sizes');
+const Logger = require('../utils/Logger');
+const { createKeyedLock } = require('../utils/concurrency');
+const { CircuitOpenError } = require('../utils/resilience');
+const { AccessDeniedError } = require('../security/AccessControl');
+const { SchemaValidationError } = require('../schema/SchemaRegistry');
+const {
+  NotFoundError,
+  ConflictError,
+  NotInitializedError,
+  InvalidArgumentError,
+  findCause
+} = require('../utils/errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class HttpGateway {
+  /**
+   * @param {CortexManager} cortex - an initialized CortexManager
+   * @param {Object} config - basePath, maxBodySize, resolvePrincipal(req), trustPrincipalHeaders, logger
+   */
+  constructor(cortex, config = {}) {
+    this.cortex = cortex;
+    this.config = {
+      basePath: (config.basePath || '').replace(/\/$/, ''),
+      maxBodySize: parseSize(config.maxBodySize || '1MB'),
+      // Embedding apps authenticate requests themselves and map them to principals here
+      resolvePrincipal: config.resolvePrincipal || (req => this.principalFromHeaders(req)),
+      trustPrincipalHeaders: Boolean(config.trustPrincipalHeaders)
+    };
+
+    this.logger = Logger.from(config.logger || cortex.logger, config.logLevel).child({ component: 'http' });
+    this.server = null;
+    this.entityLocks = createKeyedLock();
+    this.routes = [
+      ['GET', /^\/health$/, this.getHealth],
+      ['GET', /^\/metrics$/, this.getMetrics],
+      ['GET', /^\/entities$/, this.listEntities],
+      ['POST', /^\/entities$/, this.createEntity],
+      ['GET', /^\/entities\/([^/]+)\/versions$/, this.listVersions],
+      ['POST', /^\/entities\/([^/]+)\/observations$/, this.appendObservations],
+      ['GET', /^\/entities\/([^/]+)$/, this.getEntity],
+      ['PUT', /^\/entities\/([^/]+)$/, this.replaceEntity],
+      ['PATCH', /^\/entities\/([^/]+)$/, this.mergeEntity],
+      ['DELETE', /^\/entities\/([^/]+)$/, this.deleteEntity],
+      ['GET', /^\/search$/, this.search]
+    ];
+
+    // Usable directly as a request listener in an existing server
+    this.handler = (req, res) => this.handle(req, res);
+  }
+
+  /**
+   * Start a standalone server. Resolves to the bound { host, port }.
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    if (this.server) {
+      throw new Error('HTTP gateway is already listening');
+    }
+
+    this.server = http.createServer(this.handler);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const address = this.server.address();
+    this.logger.info(`Cortex HTTP gateway listening on http://${address.address}:${address.port}${this.config.basePath}`, { port: address.port });
+    return { host: address.address, port: address.port };
+  }
+
+  async close() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      let pathname = url.pathname;
+
+      if (this.config.basePath) {
+        if (pathname !== this.config.basePath && !pathname.startsWith(`${this.config.basePath}/`)) {
+          throw new HttpError(404, 'NOT_FOUND', `No route for ${pathname}`);
+        }
+        pathname = pathname.substring(this.config.basePath.length) || '/';
+      }
+
+      const matching = this.routes.filter(([, pattern]) => pattern.test(pathname));
+      if (matching.length === 0) {
+        throw new HttpError(404, 'NOT_FOUND', `No route for ${pathname}`);
+      }
+
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) {
+        res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${pathname}`);
+      }
+
+      const [, pattern, action] = route;
+      const params = pattern.exec(pathname).slice(1).map(HttpGateway.decodeParam);
+      const context = {
+        req,
+        res,
+        url,
+        params,
+        principal: await this.config.resolvePrincipal(req)
+      };
+
+      await action.call(this, context);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  // Route handlers
+
+  async getHealth({ res }) {
+    const ready = Boolean(this.cortex.initialized);
+    if (!ready) {
+      this.send(res, 503, { status: 'unavailable', initialized: false, timestamp: new Date().toISOString() });
+      return;
+    }
+
+    // A degraded instance still serves requests; only unhealthy takes it out of rotation
+    const health = this.cortex.healthMonitor.getHealth();
+    this.send(res, health.status === 'unhealthy' ? 503 : 200, {
+      status: health.status === 'healthy' ? 'ok' : health.status,
+      initialized: true,
+      checks: health.checks,
+      timestamp: health.timestamp
+    });
+  }
+
+  async getMetrics({ req, res, url }) {
+    const format = url.searchParams.get('format');
+    const accept = String(req.headers.accept || '');
+    if (format === 'prometheus' || (!format && /\btext\/plain\b/.test(accept) && !/\bapplication\/json\b/.test(accept))) {
+      this.sendText(res, 200, this.cortex.getPrometheusMetrics(), 'text/plain; version=0.0.4; charset=utf-8');
+      return;
+    }
+    this.send(res, 200, this.cortex.getPerformanceMetrics());
+  }
+
+  async listEntities({ res, url, principal }) {
+    const { offset, limit } = this.pagination(url);
+    const { total, references } = await this.cortex.listReferences({ offset, limit, principal });
+    this.send(res, 200, { items: references, total, offset, limit });
+  }
+
+  async createEntity({ req, res, principal }) {
+    const body = await this.readBody(req);
+    const result = await this.cortex.createEntity(body, { principal });
+    const entity = await this.cortex.getEntity(result.entityName, { principal });
+
+    res.setHeader('Location', `${this.config.basePath}/entities/${encodeURIComponent(result.entityName)}`);
+    this.sendEntity(res, 201, entity);
+  }
+
+  async getEntity({ req, res, url, params: [name], principal }) {
+    const at = url.searchParams.get('at') || undefined;
+    const entity = await this.cortex.getEntity(name, { at, principal });
+    const etag = HttpGateway.etag(entity);
+
+    if (this.etagMatches(req.headers['if-none-match'], etag)) {
+      res.setHeader('ETag', etag);
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+
+    this.sendEntity(res, 200, entity);
+  }
+
+  async replaceEntity(context) {
+    await this.writeEntity(context, 'replace');
+  }
+
+  async mergeEntity(context) {
+    await this.writeEntity(context, 'merge');
+  }
+
+  async appendObservations({ req, res, params: [name], principal }) {
+    const body = await this.readBody(req);
+    const entity = await this.entityLocks.run(name, async () => {
+      await this.checkPrecondition(req, name, principal);
+      await this.cortex.appendObservations(name, body.observations, { principal });
+      return this.cortex.getEntity(name, { principal });
+    });
+    this.sendEntity(res, 200, entity);
+  }
+
+  async deleteEntity({ req, res, params: [name], principal }) {
+    const result = await this.entityLocks.run(name, async () => {
+      await this.checkPrecondition(req, name, principal);
+      return this.cortex.deleteEntity(name, { principal });
+    });
+    this.send(res, 200, {
+      success: true,
+      entityName: result.entityName,
+      fileReference: result.fileReference,
+      commit: result.commit,
+      relationsRemoved: result.relationsRemoved.length
+    });
+  }
+
+  async listVersions({ res, url, params: [name], principal }) {
+    const { offset, limit } = this.pagination(url);
+    const versions = await this.cortex.listVersions(name, { principal });
+    this.send(res, 200, { items: versions.slice(offset, offset + limit), total: versions.length, offset, limit });
+  }
+
+  async search({ res, url, principal }) {
+    const query = url.searchParams.get('q');
+    if (!query) {
+      throw new HttpError(400, 'BAD_REQUEST', "Query parameter 'q' is required");
+    }
+
+    const { offset, limit } = this.pagination(url);
+    const filters = {};
+    ['entityType', 'priority', 'evidenceQuality'].forEach(field => {
+      const values = url.searchParams.getAll(field);
+      if (values.length > 0) filters[field] = values;
+    });
+
+    const { total, results } = await this.cortex.search(query, {
+      offset,
+      limit,
+      filters,
+      includeEntities: url.searchParams.get('includeEntities') === 'true',
+      principal
+    });
+    this.send(res, 200, { query, items: results, total, offset, limit });
+  }
+
+  // Private helper methods
+
+  async writeEntity({ req, res, params: [name], principal }, mode) {
+    const body = await this.readBody(req);
+    const entity = await this.entityLocks.run(name, async () => {
+      await this.checkPrecondition(req, name, principal);
+      await this.cortex.updateEntity(name, body, { mode, principal });
+      return this.cortex.getEntity(name, { principal });
+    });
+    this.sendEntity(res, 200, entity);
+  }
+
+  async checkPrecondition(req, name, principal) {
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch) return;
+
+    const current = HttpGateway.etag(await this.cortex.getEntity(name, { principal }));
+    if (!this.etagMatches(ifMatch, current)) {
+      throw new HttpError(412, 'PRECONDITION_FAILED', `Entity '${name}' has changed (current ETag ${current})`);
+    }
+  }
+
+  etagMatches(header, etag) {
+    if (!header) return false;
+    return header.split(',').map(value => value.trim().replace(/^W\//, '')).some(value => value === '*' || value === etag);
+  }
+
+  pagination(url) {
+    const offset = HttpGateway.integerParam(url, 'offset', 0);
+    const limit = Math.min(HttpGateway.integerParam(url, 'limit', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    if (limit < 1) {
+      throw new HttpError(400, 'BAD_REQUEST', "Query parameter 'limit' must be at least 1");
+    }
+    return { offset, limit };
+  }
+
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.config.maxBodySize) {
+        throw new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${this.config.maxBodySize} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    if (size === 0) {
+      throw new HttpError(400, 'BAD_REQUEST', 'Request body is required');
+    }
+
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('expected a JSON object');
+      }
+      return body;
+    } catch (error) {
+      throw new HttpError(400, 'BAD_REQUEST', `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  principalFromHeaders(req) {
+    // Only for deployments behind a trusted proxy that sets these headers
+    if (!this.config.trustPrincipalHeaders || !req.headers['x-cortex-principal']) {
+      return undefined;
+    }
+    return {
+      id: req.headers['x-cortex-principal'],
+      roles: String(req.headers['x-cortex-roles'] || '').split(',').map(role => role.trim()).filter(Boolean)
+    };
+  }
+
+  sendEntity(res, status, entity) {
+    res.setHeader('ETag', HttpGateway.etag(entity));
+    this.send(res, status, entity);
+  }
+
+  send(res, status, body) {
+    this.sendText(res, status, JSON.stringify(body), 'application/json; charset=utf-8');
+  }
+
+  sendText(res, status, payload, contentType) {
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  sendError(res, error) {
+    const httpError = HttpGateway.toHttpError(error);
+    if (httpError.status >= 500) {
+      this.logger.error('HTTP gateway error', { error });
+    }
+
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    this.send(res, httpError.status, {
+      error: {
+        status: httpError.status,
+        code: httpError.code,
+        message: httpError.message,
+        ...(httpError.details ? { details: httpError.details } : {})
+      }
+    });
+  }
+
+  static toHttpError(error) {
+    if (error instanceof HttpError) {
+      return error;
+    }
+
+    // Layers wrap errors with context; classify by the first typed error along the cause chain
+    const cause = findCause(error, AccessDeniedError, SchemaValidationError, NotFoundError,
+      ConflictError, NotInitializedError, InvalidArgumentError, CircuitOpenError);
+
+    if (cause instanceof AccessDeniedError) {
+      return new HttpError(403, 'ACCESS_DENIED', cause.message,
+        cause.summary !== undefined ? { summary: cause.summary } : undefined);
+    }
+    if (cause instanceof SchemaValidationError) {
+      return new HttpError(422, 'VALIDATION_FAILED', cause.message, { errors: cause.errors });
+    }
+    if (cause instanceof NotFoundError) {
+      return new HttpError(404, 'NOT_FOUND', cause.message);
+    }
+    if (cause instanceof ConflictError) {
+      return new HttpError(409, 'CONFLICT', cause.message);
+    }
+    if (cause instanceof NotInitializedError) {
+      return new HttpError(503, 'UNAVAILABLE', cause.message);
+    }
+    if (cause instanceof CircuitOpenError) {
+      return new HttpError(503, 'UNAVAILABLE', 'Storage is temporarily unavailable', { retryAfter: cause.retryAfter });
+    }
+    if (cause instanceof InvalidArgumentError) {
+      return new HttpError(400, 'BAD_REQUEST', cause.message);
+    }
+    return new HttpError(500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+
+  static decodeParam(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      // Malformed percent-encoding is the client's mistake, not a server error
+      throw new HttpError(400, 'BAD_REQUEST', `Malformed URL encoding in '${value}'`);
+    }
+  }
+
+  static etag(entity) {
+    return `"${entityHash(entity).substring(0, 32)}"`;
+  }
+
+  static integerParam(url, name, fallback) {
+    const raw = url.searchParams.get(name);
+    if (raw === null) return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new HttpError(400, 'BAD_REQUEST', `Query parameter '${name}' must be a non-negative integer`);
+    }
+    return value;
+  }
+}
+
+module.exports = HttpGateway;
+module.exports.HttpError = HttpError;
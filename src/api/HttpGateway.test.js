@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CortexManager = require('../core/CortexManager');
+const HttpGateway = require('./HttpGateway');
+const { CircuitOpenError } = require('../utils/resilience');
+
+async function withGateway(run) {
+  const cortex = new CortexManager({
+    storage: 'git',
+    localPath: fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-http-')),
+    manifestPath: null,
+    auditLogPath: null,
+    logLevel: 'silent'
+  });
+  await cortex.initialize();
+  const gateway = new HttpGateway(cortex, { logLevel: 'silent' });
+  const { port } = await gateway.listen();
+  try {
+    await run(async (method, url, body, headers = {}) => {
+      const response = await fetch(`http://127.0.0.1:${port}${url}`, {
+        method,
+        headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, etag: response.headers.get('etag'), body: await response.json() };
+    });
+  } finally {
+    await gateway.close();
+  }
+}
+
+test('errors map to status codes by their class', async () => {
+  await withGateway(async request => {
+    const created = await request('POST', '/entities', { name: 'A', entityType: 'Note', observations: [] });
+    assert.equal(created.status, 201);
+
+    assert.equal((await request('POST', '/entities', { name: 'A', entityType: 'Note', observations: [] })).status, 409);
+    assert.equal((await request('POST', '/entities', { entityType: 'Note' })).status, 400);
+    assert.equal((await request('POST', '/entities', { name: 'B', observations: [] })).status, 422);
+    assert.equal((await request('GET', '/entities/Missing')).status, 404);
+    assert.equal((await request('GET', '/entities/A?at=yesterday')).status, 400);
+    assert.deepEqual((await request('GET', '/entities/%E0%A4%A')).body.error.code, 'BAD_REQUEST');
+  });
+});
+
+test('unclassified errors are internal and do not leak their message', async () => {
+  const error = new Error('Invalid internal state: requires a restart');
+  assert.deepEqual(
+    { ...HttpGateway.toHttpError(error) },
+    { ...new HttpGateway.HttpError(500, 'INTERNAL_ERROR', 'Internal server error') }
+  );
+});
+
+test('concurrent If-Match writes to one entity cannot both pass the precondition', async () => {
+  await withGateway(async request => {
+    const { etag } = await request('POST', '/entities', { name: 'A', entityType: 'Note', observations: [] });
+
+    const responses = await Promise.all(['x', 'y'].map(observation =>
+      request('POST', '/entities/A/observations', { observations: [observation] }, { 'If-Match': etag })));
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 412]);
+    assert.equal((await request('GET', '/entities/A')).body.observations.length, 1);
+  });
+});
+
+test('an open storage circuit is reported as unavailable', () => {
+  const error = new Error('Store failed', { cause: new CircuitOpenError('l1', 5000) });
+  assert.deepEqual(
+    { ...HttpGateway.toHttpError(error) },
+    { ...new HttpGateway.HttpError(503, 'UNAVAILABLE', 'Storage is temporarily unavailable', { retryAfter: 5000 }) }
+  );
+});
@@ -0,0 +1,283 @@
+/**
+ * AuditLog - Append-only, hash-chained record of memory operations
+ * Revolutionary AGI Memory Management System - Audit Trails
+ *
+ * Each line of the log file is one JSON entry. Every entry stores the hash
+ * of its predecessor (`prevHash`) and its own hash over its content plus
+ * `prevHash`, so editing, removing or reordering any entry breaks the chain
+ * from that point on and is reported by verify().
+ *
+ * Removing entries from the end leaves a valid chain, so the newest
+ * { seq, hash } is also kept in `<path>.head` and verify() checks the log
+ * still reaches it. Entries appended together share one file write.
+ *
+ * pseudonymize() is the one sanctioned rewrite: it replaces a data subject's name in
+ * past entries and re-chains the log from there (see eraseSubject).
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { canonicalJson, sha256 } = require('../utils/hash');
+const { writeFileAtomic } = require('../utils/fileUtils');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+  constructor(config = {}) {
+    this.path = config.path ? path.resolve(config.path) : null;
+    this.headPath = this.path ? `${this.path}.head` : null;
+    this.enabled = Boolean(this.path);
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.writeQueue = Promise.resolve();
+    this.pending = [];
+    this.opened = false;
+  }
+
+  /**
+   * Load the chain head from an existing log so new entries continue it
+   */
+  async open() {
+    if (!this.enabled) {
+      return { enabled: false };
+    }
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    const entries = await this.readEntries();
+    const last = entries[entries.length - 1];
+    if (last) {
+      this.lastSeq = last.seq;
+      this.lastHash = last.hash;
+    }
+
+    this.opened = true;
+    return { enabled: true, path: this.path, entries: entries.length };
+  }
+
+  /**
+   * Append an entry: { action, actor, entityName, fileReference, beforeHash, afterHash, details }
+   */
+  async append(record) {
+    if (!this.enabled) {
+      return null;
+    }
+    if (!this.opened) {
+      throw new Error('Audit log not opened. Call open() first.');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ record, resolve, reject });
+      // The first pending entry schedules the write; later ones join it
+      if (this.pending.length === 1) {
+        const write = this.writeQueue.then(() => this.writePending());
+        this.writeQueue = write.catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Recompute the hash chain. Reports the first broken entry, if any.
+   * The log must also reach its head anchor: `options.headHash` when given (a hash kept
+   * outside the log), otherwise the `.head` file written with every append.
+   */
+  async verify(options = {}) {
+    if (!this.enabled) {
+      return { valid: true, entries: 0, enabled: false };
+    }
+
+    await this.writeQueue;
+    return this.checkChain(await this.readLines(), options.headHash ? { hash: options.headHash } : await this.readHead());
+  }
+
+  /**
+   * Replace `entityName` with `pseudonym` and drop `fileReference` in every entry for which
+   * `match(entry)` is true, then re-chain the entries after the first changed one and move the
+   * head anchor. Refuses a log that does not verify, so the rewrite cannot hide earlier tampering.
+   * Head hashes kept outside the log no longer match afterwards. Resolves to the number of entries changed.
+   */
+  async pseudonymize(match, pseudonym) {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const rewrite = this.writeQueue.then(async () => {
+      const lines = await this.readLines();
+      const check = this.checkChain(lines, await this.readHead());
+      if (!check.valid) {
+        throw new Error(`Audit log does not verify (line ${check.brokenAt.line}: ${check.brokenAt.reason}); not rewriting it`);
+      }
+
+      let changed = 0;
+      let prevHash = GENESIS_HASH;
+      const entries = lines.map(line => {
+        let entry = JSON.parse(line);
+        if (match(entry)) {
+          entry = { ...entry, entityName: pseudonym, fileReference: null };
+          changed++;
+        }
+        if (changed > 0) {
+          entry = { ...entry, prevHash };
+          entry.hash = AuditLog.hashEntry(entry);
+        }
+        prevHash = entry.hash;
+        return entry;
+      });
+
+      if (changed > 0) {
+        await writeFileAtomic(this.path, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        this.lastHash = prevHash;
+        await this.writeHead();
+      }
+      return changed;
+    });
+
+    this.writeQueue = rewrite.catch(() => {});
+    return rewrite;
+  }
+
+  /**
+   * Filter entries by entityName, action, actor and time range (ISO `from`/`to`, inclusive)
+   */
+  async query(filter = {}) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    await this.writeQueue;
+    const from = filter.from ? Date.parse(filter.from) : -Infinity;
+    const to = filter.to ? Date.parse(filter.to) : Infinity;
+
+    const matches = (await this.readEntries()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return (!filter.entityName || entry.entityName === filter.entityName) &&
+        (!filter.action || entry.action === filter.action) &&
+        (!filter.actor || entry.actor === filter.actor) &&
+        time >= from && time <= to;
+    });
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+
+  // Private helper methods
+
+  checkChain(lines, anchor) {
+    let anchorFound = !anchor;
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+
+    for (let index = 0; index < lines.length; index++) {
+      const lineNumber = index + 1;
+      let entry;
+      try {
+        entry = JSON.parse(lines[index]);
+      } catch (error) {
+        return { valid: false, entries: lines.length, brokenAt: { line: lineNumber, reason: 'unparseable entry' } };
+      }
+
+      let reason = null;
+      if (entry.seq !== expectedSeq) reason = `expected seq ${expectedSeq}, found ${entry.seq}`;
+      else if (entry.prevHash !== prevHash) reason = 'prevHash does not match previous entry';
+      else if (AuditLog.hashEntry(entry) !== entry.hash) reason = 'entry content does not match its hash';
+
+      if (reason) {
+        return { valid: false, entries: lines.length, brokenAt: { line: lineNumber, seq: entry.seq, reason } };
+      }
+
+      if (anchor && entry.hash === anchor.hash && (anchor.seq === undefined || entry.seq === anchor.seq)) {
+        anchorFound = true;
+      }
+      prevHash = entry.hash;
+      expectedSeq++;
+    }
+
+    if (!anchorFound) {
+      return {
+        valid: false,
+        entries: lines.length,
+        brokenAt: { line: lines.length + 1, seq: anchor.seq, reason: 'log does not reach its head anchor (truncated?)' }
+      };
+    }
+    return { valid: true, entries: lines.length, headHash: prevHash, anchored: Boolean(anchor) };
+  }
+
+  async writePending() {
+    const batch = this.pending.splice(0);
+    let seq = this.lastSeq;
+    let prevHash = this.lastHash;
+
+    const entries = batch.map(({ record }) => {
+      const entry = {
+        seq: ++seq,
+        timestamp: new Date().toISOString(),
+        action: record.action,
+        actor: record.actor || null,
+        entityName: record.entityName || null,
+        fileReference: record.fileReference || null,
+        beforeHash: record.beforeHash || null,
+        afterHash: record.afterHash || null,
+        ...(record.details ? { details: record.details } : {}),
+        prevHash
+      };
+      entry.hash = AuditLog.hashEntry(entry);
+      prevHash = entry.hash;
+      return entry;
+    });
+
+    try {
+      await fs.appendFile(this.path, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+      this.lastSeq = seq;
+      this.lastHash = prevHash;
+      await this.writeHead();
+    } catch (error) {
+      batch.forEach(({ reject }) => reject(error));
+      return;
+    }
+    batch.forEach(({ resolve }, index) => resolve(entries[index]));
+  }
+
+  async writeHead() {
+    // Written aside and renamed, so a crash never leaves a half-written anchor
+    const temporary = `${this.headPath}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify({ seq: this.lastSeq, hash: this.lastHash }), 'utf8');
+    await fs.rename(temporary, this.headPath);
+  }
+
+  async readHead() {
+    try {
+      return JSON.parse(await fs.readFile(this.headPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Audit log head anchor ${this.headPath} is unreadable: ${error.message}`, { cause: error });
+    }
+  }
+
+  async readLines() {
+    try {
+      return (await fs.readFile(this.path, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async readEntries() {
+    return (await this.readLines()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Audit log line ${index + 1} is not valid JSON; run verify()`);
+      }
+    });
+  }
+
+  static hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return sha256(canonicalJson(content));
+  }
+}
+
+module.exports = AuditLog;
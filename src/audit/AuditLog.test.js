@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('./AuditLog');
+
+async function openLog() {
+  const log = new AuditLog({ path: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-audit-')), 'audit.log') });
+  await log.open();
+  return log;
+}
+
+test('concurrent appends form one chain', async () => {
+  const log = await openLog();
+  const entries = await Promise.all(['a', 'b', 'c'].map(entityName => log.append({ action: 'entity:read', entityName })));
+
+  assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3]);
+  assert.equal(entries[1].prevHash, entries[0].hash);
+  assert.deepEqual(await log.verify(), { valid: true, entries: 3, headHash: entries[2].hash, anchored: true });
+
+  const reopened = new AuditLog({ path: log.path });
+  await reopened.open();
+  assert.equal((await reopened.append({ action: 'entity:delete' })).prevHash, entries[2].hash);
+});
+
+test('edits and truncation are detected', async () => {
+  const log = await openLog();
+  for (const entityName of ['a', 'b', 'c']) {
+    await log.append({ action: 'entity:store', entityName, actor: 'ann' });
+  }
+  const lines = fs.readFileSync(log.path, 'utf8').split('\n').filter(Boolean);
+
+  fs.writeFileSync(log.path, [lines[0], lines[1].replace('"ann"', '"bob"'), lines[2]].join('\n') + '\n');
+  assert.equal((await log.verify()).brokenAt.reason, 'entry content does not match its hash');
+
+  fs.writeFileSync(log.path, lines.slice(0, 2).join('\n') + '\n');
+  const truncated = await log.verify();
+  assert.equal(truncated.valid, false);
+  assert.match(truncated.brokenAt.reason, /head anchor/);
+
+  // An anchor kept outside the log still catches truncation when `.head` is rewritten too
+  const { hash } = JSON.parse(lines[2]);
+  fs.writeFileSync(log.headPath, JSON.stringify({ seq: 2, hash: JSON.parse(lines[1]).hash }));
+  assert.equal((await log.verify()).valid, true);
+  assert.equal((await log.verify({ headHash: hash })).valid, false);
+});
+
+test('pseudonymizing re-chains the log and refuses one that was tampered with', async () => {
+  const log = await openLog();
+  for (const entityName of ['Jane', 'Max', 'Jane']) {
+    await log.append({ action: 'entity:read', entityName, fileReference: `cortex/entities/${entityName.toLowerCase()}.json` });
+  }
+
+  assert.equal(await log.pseudonymize(entry => entry.entityName === 'Jane', 'erased-subject:r1'), 2);
+  const entries = await log.query();
+  assert.deepEqual(entries.map(entry => [entry.entityName, entry.fileReference]),
+    [['erased-subject:r1', null], ['Max', 'cortex/entities/max.json'], ['erased-subject:r1', null]]);
+  assert.equal((await log.verify()).valid, true);
+  assert.equal((await log.append({ action: 'entity:delete' })).prevHash, entries[2].hash);
+
+  const lines = fs.readFileSync(log.path, 'utf8').split('\n');
+  lines[1] = lines[1].replace('"Max"', '"Mia"');
+  fs.writeFileSync(log.path, lines.join('\n'));
+  await assert.rejects(log.pseudonymize(entry => entry.entityName === 'Mia', 'x'), /does not verify/);
+});
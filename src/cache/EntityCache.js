@@ -0,0 +1,211 @@
+/**
+ * EntityCache - Bounded entity cache with LRU, LFU or ARC eviction
+ * Revolutionary AGI Memory Management System - Unified Caching
+ *
+ * Limits entries both by count and by serialized bytes. Entries may carry a TTL,
+ * and pinned entries (critical-priority entities) are never evicted for capacity.
+ * Pinned entries may use at most `maxPinnedBytes`; a pin beyond that is cached unpinned.
+ * Emits 'evicted' with { key, reason: 'capacity' | 'expired', size } whenever the cache
+ * drops an entry on its own; explicit delete() and clear() emit nothing.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const { EventEmitter } = require('events');
+const { createPolicy } = require('./policies');
+const { parseSize } = require('../utils/sizes');
+
+class EntityCache extends EventEmitter {
+  /**
+   * @param {Object} options - strategy ('LRU' | 'LFU' | 'ARC'), maxEntries (100; 0 disables caching),
+   *   maxBytes ('32MB'), maxPinnedBytes (half of maxBytes), ttl (ms, default none), sizeOf(value) -> bytes
+   */
+  constructor(options = {}) {
+    super();
+    this.strategy = String(options.strategy || 'LRU').toUpperCase();
+    this.maxEntries = options.maxEntries === undefined ? 100 : options.maxEntries;
+    this.maxBytes = parseSize(options.maxBytes || '32MB');
+    this.maxPinnedBytes = options.maxPinnedBytes === undefined
+      ? Math.floor(this.maxBytes / 2)
+      : parseSize(options.maxPinnedBytes);
+    this.ttl = options.ttl || null;
+    this.sizeOf = options.sizeOf || (value => Buffer.byteLength(JSON.stringify(value)));
+
+    this.policy = createPolicy(this.strategy, this.maxEntries);
+    this.entries = new Map();
+    this.bytes = 0;
+    this.pinnedCount = 0;
+    this.pinnedBytes = 0;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      rejected: 0,
+      pinRejected: 0,
+      evictions: { capacity: 0, expired: 0 },
+      bytesEvicted: 0
+    };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Whether a live entry exists; does not count as an access
+   */
+  has(key) {
+    return this.live(key) !== undefined;
+  }
+
+  get(key) {
+    const entry = this.live(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    this.policy.access(key);
+    return entry.value;
+  }
+
+  /**
+   * Cache `value`; options: ttl (ms, overrides the default), pinned, size (bytes, else measured)
+   * Returns false when the value was not cached (caching disabled or larger than maxBytes).
+   * A pin that would take pinned entries over maxPinnedBytes caches the value unpinned.
+   */
+  set(key, value, options = {}) {
+    if (this.maxEntries === 0) {
+      return false;
+    }
+
+    const size = options.size === undefined ? this.sizeOf(value) : options.size;
+    if (size > this.maxBytes) {
+      this.stats.rejected++;
+      this.delete(key);
+      return false;
+    }
+
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.bytes -= existing.size;
+      if (existing.pinned) this.unpin(existing);
+    }
+
+    const ttl = options.ttl === undefined ? this.ttl : options.ttl;
+    // Unbounded pins would leave capacity evictions nothing to evict
+    const pinned = Boolean(options.pinned) && this.pinnedBytes + size <= this.maxPinnedBytes;
+    if (options.pinned && !pinned) this.stats.pinRejected++;
+    this.entries.set(key, { value, size, pinned, expiresAt: ttl ? Date.now() + ttl : null });
+    this.bytes += size;
+    if (pinned) {
+      this.pinnedCount++;
+      this.pinnedBytes += size;
+    }
+    this.stats.sets++;
+
+    if (existing) {
+      this.policy.access(key);
+    } else {
+      this.policy.insert(key);
+    }
+
+    this.enforceLimits();
+    return this.entries.has(key);
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.removeEntry(key, entry, false);
+    return true;
+  }
+
+  clear() {
+    for (const key of [...this.entries.keys()]) {
+      this.delete(key);
+    }
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Drop every expired entry now instead of on its next access
+   */
+  prune() {
+    let expired = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (!this.live(key)) expired++;
+    }
+    return expired;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      strategy: this.strategy,
+      size: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      pinned: this.pinnedCount,
+      pinnedBytes: this.pinnedBytes,
+      maxPinnedBytes: this.maxPinnedBytes,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : null,
+      ...this.stats,
+      evictions: { ...this.stats.evictions }
+    };
+  }
+
+  // Private helper methods
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.evict(key, entry, 'expired');
+      return undefined;
+    }
+    return entry;
+  }
+
+  enforceLimits() {
+    // Pinned entries (at most maxPinnedBytes) may keep the cache over its entry budget; everything else gives way
+    const canEvict = key => !this.entries.get(key).pinned;
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const victim = this.policy.victim(canEvict);
+      if (victim === undefined) break;
+      this.evict(victim, this.entries.get(victim), 'capacity');
+    }
+  }
+
+  evict(key, entry, reason) {
+    this.removeEntry(key, entry, true);
+    this.stats.evictions[reason]++;
+    this.stats.bytesEvicted += entry.size;
+    this.emit('evicted', { key, reason, size: entry.size });
+  }
+
+  removeEntry(key, entry, evicted) {
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    if (entry.pinned) this.unpin(entry);
+    this.policy.remove(key, evicted);
+  }
+
+  unpin(entry) {
+    this.pinnedCount--;
+    this.pinnedBytes -= entry.size;
+  }
+}
+
+module.exports = EntityCache;
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EntityCache = require('./EntityCache');
+
+test('pins beyond maxPinnedBytes are cached unpinned and can be evicted', () => {
+  const cache = new EntityCache({ maxEntries: 10, maxBytes: 100, maxPinnedBytes: 50, sizeOf: () => 30 });
+
+  assert.equal(cache.set('a', 'A', { pinned: true }), true);
+  assert.equal(cache.set('b', 'B', { pinned: true }), true);
+  cache.set('c', 'C');
+  cache.set('d', 'D');
+
+  // 'a' stays pinned; 'b' went over the pin budget and was evicted like any other entry
+  assert.deepEqual(cache.keys(), ['a', 'c', 'd']);
+  const stats = cache.getStats();
+  assert.equal(stats.pinned, 1);
+  assert.equal(stats.pinnedBytes, 30);
+  assert.equal(stats.pinRejected, 1);
+  assert.ok(stats.bytes <= 100);
+});
+
+test('the pin budget is released when pinned entries are replaced or removed', () => {
+  const cache = new EntityCache({ maxEntries: 10, maxBytes: 100, sizeOf: value => value.length });
+
+  cache.set('a', 'x'.repeat(40), { pinned: true });
+  cache.set('a', 'x'.repeat(45), { pinned: true });
+  assert.equal(cache.getStats().pinnedBytes, 45);
+  assert.equal(cache.getStats().maxPinnedBytes, 50);
+
+  cache.delete('a');
+  assert.equal(cache.set('b', 'x'.repeat(50), { pinned: true }), true);
+  assert.deepEqual([cache.getStats().pinned, cache.getStats().pinnedBytes, cache.getStats().pinRejected], [1, 50, 0]);
+});
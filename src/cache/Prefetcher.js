@@ -0,0 +1,142 @@
+/**
+ * Prefetcher - Predictive cache warming from recorded co-access patterns
+ * Revolutionary AGI Memory Management System - Predictive Caching
+ *
+ * After an entity is read, the entities that historically followed it are
+ * loaded into the cache in the background, bounded by a concurrency limit
+ * and a per-round byte budget.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { parseSize } = require('../utils/sizes');
+const Logger = require('../utils/Logger');
+
+class Prefetcher {
+  /**
+   * @param {Object} config - enabled, maxPredictions, minSupport, minConfidence, concurrency, byteBudget, logger
+   * @param {Object} hooks - predict(name, options), load(name) -> entity|null, isCached(name) -> boolean
+   */
+  constructor(config = {}, hooks = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      maxPredictions: config.maxPredictions || 3,
+      minSupport: config.minSupport || 2,
+      minConfidence: config.minConfidence === undefined ? 0.2 : config.minConfidence,
+      concurrency: config.concurrency || 2,
+      byteBudget: parseSize(config.byteBudget || '256KB')
+    };
+
+    this.logger = Logger.from(config.logger, config.logLevel).child({ component: 'prefetch' });
+    this.hooks = hooks;
+    this.inFlight = new Set();
+    this.prefetched = new Set();
+    this.stats = {
+      rounds: 0,
+      issued: 0,
+      completed: 0,
+      failed: 0,
+      skippedBudget: 0,
+      bytesPrefetched: 0,
+      hits: 0
+    };
+  }
+
+  /**
+   * Queue a background prefetch round for the entities that usually follow `entityName`
+   * Resolves when the round is done; callers normally do not await it.
+   */
+  schedule(entityName) {
+    if (!this.config.enabled) {
+      return Promise.resolve({ prefetched: [] });
+    }
+
+    return new Promise(resolve => setImmediate(resolve))
+      .then(() => this.run(entityName))
+      .catch(error => {
+        this.logger.error(`Prefetch round for ${entityName} failed`, { entityName, error });
+        return { prefetched: [] };
+      });
+  }
+
+  /**
+   * Record a cache hit; counts towards the prefetch hit rate when the entry was prefetched
+   */
+  recordHit(entityName) {
+    if (this.prefetched.delete(entityName)) {
+      this.stats.hits++;
+    }
+  }
+
+  /**
+   * Forget a prefetched entry (invalidated or evicted before use)
+   */
+  forget(entityName) {
+    this.prefetched.delete(entityName);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.prefetched.size,
+      hitRate: this.stats.completed > 0 ? Math.round(this.stats.hits / this.stats.completed * 1000) / 1000 : 0,
+      enabled: this.config.enabled
+    };
+  }
+
+  // Private helper methods
+
+  async run(entityName) {
+    const candidates = this.hooks.predict(entityName, {
+      limit: this.config.maxPredictions,
+      minSupport: this.config.minSupport,
+      minConfidence: this.config.minConfidence
+    })
+      .map(prediction => prediction.entityName)
+      .filter(name => !this.inFlight.has(name) && !this.hooks.isCached(name));
+
+    if (candidates.length === 0) {
+      return { prefetched: [] };
+    }
+
+    this.stats.rounds++;
+    let bytesUsed = 0;
+    const prefetched = [];
+
+    await mapWithConcurrency(candidates, this.config.concurrency, async name => {
+      if (bytesUsed >= this.config.byteBudget) {
+        this.stats.skippedBudget++;
+        return;
+      }
+
+      this.inFlight.add(name);
+      this.stats.issued++;
+      try {
+        const entity = await this.hooks.load(name);
+        if (!entity) return;
+
+        const bytes = Buffer.byteLength(JSON.stringify(entity));
+        bytesUsed += bytes;
+        this.stats.bytesPrefetched += bytes;
+        this.stats.completed++;
+        this.prefetched.add(name);
+        prefetched.push(name);
+      } catch (error) {
+        this.stats.failed++;
+        this.logger.warn(`Prefetch of ${name} failed: ${error.message}`, { entityName: name, error });
+      } finally {
+        this.inFlight.delete(name);
+      }
+    });
+
+    if (prefetched.length > 0) {
+      this.logger.debug(`Prefetched after ${entityName}: ${prefetched.join(', ')} (${bytesUsed} bytes)`, { entityName, bytesUsed });
+    }
+    return { prefetched, bytesUsed };
+  }
+}
+
+module.exports = Prefetcher;
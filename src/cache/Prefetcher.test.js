@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Prefetcher = require('./Prefetcher');
+
+test('loads predicted followers that are not cached yet, within the byte budget', async () => {
+  const loaded = [];
+  const prefetcher = new Prefetcher({ byteBudget: 60, minSupport: 1, concurrency: 1 }, {
+    predict: () => [{ entityName: 'B' }, { entityName: 'C' }, { entityName: 'D' }],
+    isCached: name => name === 'C',
+    load: async name => {
+      loaded.push(name);
+      return { name, observations: ['x'.repeat(30)] };
+    }
+  });
+
+  await prefetcher.schedule('A');
+  assert.deepEqual(loaded, ['B']);
+  assert.equal(prefetcher.getStats().skippedBudget, 1);
+
+  prefetcher.recordHit('B');
+  assert.equal(prefetcher.getStats().hits, 1);
+});
+
+test('a disabled prefetcher does nothing', async () => {
+  const prefetcher = new Prefetcher({ enabled: false }, { predict: () => assert.fail('must not predict') });
+  assert.deepEqual(await prefetcher.schedule('A'), { prefetched: [] });
+});
@@ -0,0 +1,172 @@
+/**
+ * Eviction policies for EntityCache
+ * Revolutionary AGI Memory Management System - Cache Replacement
+ *
+ * A policy only orders keys; the cache owns values, sizes and budgets. Each policy
+ * implements insert(key), access(key), remove(key, evicted) and victim(canEvict),
+ * which returns the next key to evict that `canEvict(key)` allows (pinned entries are skipped).
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/**
+ * Least recently used: a Set keeps insertion order, re-adding moves a key to the end
+ */
+class LruPolicy {
+  constructor() {
+    this.order = new Set();
+  }
+
+  insert(key) {
+    this.access(key);
+  }
+
+  access(key) {
+    this.order.delete(key);
+    this.order.add(key);
+  }
+
+  remove(key) {
+    this.order.delete(key);
+  }
+
+  victim(canEvict) {
+    for (const key of this.order) {
+      if (canEvict(key)) return key;
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Least frequently used; ties go to the least recently used key
+ */
+class LfuPolicy {
+  constructor() {
+    this.usage = new Map();
+    this.clock = 0;
+  }
+
+  insert(key) {
+    const current = this.usage.get(key);
+    this.usage.set(key, { count: current ? current.count + 1 : 1, lastUsed: ++this.clock });
+  }
+
+  access(key) {
+    this.insert(key);
+  }
+
+  remove(key) {
+    this.usage.delete(key);
+  }
+
+  victim(canEvict) {
+    let victim;
+    let best = null;
+    for (const [key, usage] of this.usage) {
+      if (!canEvict(key)) continue;
+      if (!best || usage.count < best.count || (usage.count === best.count && usage.lastUsed < best.lastUsed)) {
+        victim = key;
+        best = usage;
+      }
+    }
+    return victim;
+  }
+}
+
+/**
+ * Adaptive replacement cache (Megiddo & Modha)
+ *
+ * t1 holds keys seen once recently, t2 keys seen at least twice. The ghost lists b1/b2
+ * remember keys recently evicted from each; a miss that hits a ghost shifts the target
+ * size `p` of t1 toward the list that would have kept it.
+ */
+class ArcPolicy {
+  constructor(capacity) {
+    this.capacity = Math.max(1, Number.isFinite(capacity) ? capacity : 1000);
+    this.p = 0;
+    this.t1 = new Set();
+    this.t2 = new Set();
+    this.b1 = new Set();
+    this.b2 = new Set();
+  }
+
+  insert(key) {
+    if (this.t1.has(key) || this.t2.has(key)) {
+      this.access(key);
+      return;
+    }
+
+    if (this.b1.has(key)) {
+      this.p = Math.min(this.capacity, this.p + Math.max(1, this.b2.size / this.b1.size));
+      this.b1.delete(key);
+      this.t2.add(key);
+    } else if (this.b2.has(key)) {
+      this.p = Math.max(0, this.p - Math.max(1, this.b1.size / this.b2.size));
+      this.b2.delete(key);
+      this.t2.add(key);
+    } else {
+      this.t1.add(key);
+    }
+  }
+
+  access(key) {
+    this.t1.delete(key);
+    this.t2.delete(key);
+    this.t2.add(key);
+  }
+
+  remove(key, evicted = false) {
+    // Only evictions are remembered; an explicit delete says nothing about future reuse
+    if (this.t1.delete(key)) {
+      if (evicted) this.remember(this.b1, key);
+    } else if (this.t2.delete(key)) {
+      if (evicted) this.remember(this.b2, key);
+    }
+  }
+
+  victim(canEvict) {
+    const lists = this.t1.size > 0 && this.t1.size > this.p ? [this.t1, this.t2] : [this.t2, this.t1];
+    for (const list of lists) {
+      for (const key of list) {
+        if (canEvict(key)) return key;
+      }
+    }
+    return undefined;
+  }
+
+  // Private helper methods
+
+  remember(ghosts, key) {
+    ghosts.add(key);
+    if (ghosts.size > this.capacity) {
+      ghosts.delete(ghosts.values().next().value);
+    }
+  }
+}
+
+const POLICIES = {
+  LRU: () => new LruPolicy(),
+  LFU: () => new LfuPolicy(),
+  ARC: capacity => new ArcPolicy(capacity)
+};
+
+/**
+ * Create the policy for a `cacheStrategy` name ('LRU', 'LFU' or 'ARC', case-insensitive)
+ */
+function createPolicy(strategy, capacity) {
+  const name = String(strategy || 'LRU').toUpperCase();
+  if (!POLICIES[name]) {
+    throw new Error(`Unknown cache strategy '${strategy}'. Use one of: ${Object.keys(POLICIES).join(', ')}`);
+  }
+  return POLICIES[name](capacity);
+}
+
+module.exports = {
+  createPolicy,
+  LruPolicy,
+  LfuPolicy,
+  ArcPolicy
+};
@@ -7,14 +7,46 @@
  * @license MIT
  */
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const L0Bootstrap = require('./L0Bootstrap');
 const L1Repository = require('./L1Repository');
 const EntityManager = require('./EntityManager');
-const LRUCache = require('../cache/LRUCache');
+const EntityCache = require('../cache/EntityCache');
+const Prefetcher = require('../cache/Prefetcher');
 const HealthMonitor = require('../utils/HealthMonitor');
+const SearchIndex = require('../search/SearchIndex');
+const RelationGraph = require('../graph/RelationGraph');
+const McpGraphFormat = require('../io/McpGraphFormat');
+const AccessControl = require('../security/AccessControl');
+const AuditLog = require('../audit/AuditLog');
+const SubjectMatcher = require('../privacy/SubjectMatcher');
+const { loadSigningKey, signReport } = require('../privacy/reportSigning');
+const { canonicalJson, entityHash, sha256, hmacSha256 } = require('../utils/hash');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { NotFoundError, NotInitializedError, InvalidArgumentError } = require('../utils/errors');
+const Logger = require('../utils/Logger');
 
-class CortexManager {
+// Bound on remembered (principal, entity, content) reads before expired ones are pruned
+const MAX_TRACKED_READS = 10000;
+
+// Layer events re-emitted by CortexManager so embedding apps need only one listener
+const FORWARDED_EVENTS = {
+  l0: ['reference:created', 'reference:removed', 'l0:budget', 'l0:rebuilt', 'l0:restored', 'l0:corrupt'],
+  l1: ['entity:loaded', 'entity:stored', 'l1:connected', 'l1:error', 'l1:circuit', 'l1:reencrypted']
+};
+
+// Circuit breaker states as gauge values
+const CIRCUIT_LEVEL = { closed: 0, 'half-open': 1, open: 2 };
+
+/**
+ * Events: initialized, entity:created, entity:updated, entity:deleted, entity:degraded,
+ * relation:added, relation:removed, cache:evicted, access:denied, audit:error, import:completed, subject:erased, plus the forwarded
+ * L0/L1 events above. Payloads are plain objects; timed operations carry `durationMs`.
+ */
+class CortexManager extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       l0MaxSize: config.l0MaxSize || '5MB',
       l1Repository: config.l1Repository || 'jane-alesi/private-mw',
@@ -22,22 +54,45 @@ class CortexManager {
       cacheSize: config.cacheSize || 100,
       compression: config.compression || 'gzip',
       backupInterval: config.backupInterval || '1h',
-      ...config
+      ...config,
+      // null disables the audit trail
+      auditLogPath: config.auditLogPath === null ? null : (config.auditLogPath || '.cortex/audit.log'),
+      // Opt-in: repeated cache-hit reads of unchanged content by one principal are audited once per window
+      auditReadWindow: config.auditReadWindow || 0
     };
 
-    this.l0Bootstrap = new L0Bootstrap(this.config);
-    this.l1Repository = new L1Repository(this.config);
+    this.logger = Logger.from(config.logger, config.logLevel);
+    this.l0Bootstrap = new L0Bootstrap({ ...this.config, logger: this.logger });
+    // Entities are cached once, here; L1 reads behind this cache need no cache of their own
+    this.l1Repository = new L1Repository({ ...this.config, cache: { maxEntries: 0 }, logger: this.logger });
     this.entityManager = new EntityManager(this.config);
-    this.cache = new LRUCache(this.config.cacheSize);
+    this.cache = new EntityCache({
+      strategy: this.config.cacheStrategy,
+      maxEntries: this.config.cacheSize,
+      maxBytes: this.config.cacheMaxBytes,
+      maxPinnedBytes: this.config.cacheMaxPinnedBytes,
+      ttl: this.config.cacheTtl
+    });
     this.healthMonitor = new HealthMonitor(this.config);
+    this.searchIndex = new SearchIndex(this.config.search);
+    this.relationGraph = new RelationGraph();
+    this.accessControl = new AccessControl(this.config.accessControl);
+    this.auditLog = new AuditLog({ path: this.config.auditLogPath });
+    this.auditedReads = new Map();
+    this.prefetcher = new Prefetcher({ ...this.config.prefetch, logger: this.logger }, {
+      predict: (entityName, options) => this.l0Bootstrap.getCoAccessPredictions(entityName, options),
+      load: entityName => this.prefetchEntity(entityName),
+      isCached: entityName => this.cache.has(`entity:${entityName}`) || this.inFlight.has(`entity:${entityName}`)
+    });
+    // Pending L1 loads by cache key; concurrent misses for one entity share a single load
+    this.inFlight = new Map();
+    this.coalescing = { loads: 0, coalesced: 0 };
+    
+    FORWARDED_EVENTS.l0.forEach(event => this.l0Bootstrap.on(event, payload => this.emit(event, payload)));
+    FORWARDED_EVENTS.l1.forEach(event => this.l1Repository.on(event, payload => this.emit(event, payload)));
+    this.instrument();
     
     this.initialized = false;
-    this.performance = {
-      memoryReduction: 0,
-      speedImprovement: 0,
-      compressionRatio: 0,
-      entitiesTransferred: 0
-    };
   }
 
   /**
@@ -49,35 +104,45 @@ class CortexManager {
     
     try {
       // Phase 1: L0 Bootstrap Protocol
-      console.log('🧠 Initializing Cortex Hybrid Architecture v3.0...');
+      this.logger.info('Initializing Cortex Hybrid Architecture v3.0...');
       await this.l0Bootstrap.initialize();
       
       // Phase 2: L1 Repository Connection
-      console.log('🔗 Connecting to L1 Repository...');
+      this.logger.info('Connecting to L1 Repository...');
       await this.l1Repository.connect();
       
+      // Phase 2b: Relationship mappings stored alongside entities
+      await this.loadRelations();
+      
+      // Phase 2c: Audit trail continues the existing hash chain
+      await this.auditLog.open();
+      
+      // Phase 2d: Emergency recovery - a lost or unreadable L0 is regenerated from L1
+      const recovery = await this.recoverL0();
+      
       // Phase 3: Entity Manager Setup
-      console.log('📊 Setting up Entity Manager...');
+      this.logger.debug('Setting up Entity Manager...');
       await this.entityManager.initialize(this.l0Bootstrap, this.l1Repository);
       
       // Phase 4: Performance Monitoring
-      console.log('📈 Starting Health Monitor...');
+      this.logger.debug('Starting Health Monitor...');
       await this.healthMonitor.start();
       
       const initTime = Date.now() - startTime;
-      this.performance.speedImprovement = this.calculateSpeedImprovement(initTime);
       
       this.initialized = true;
-      console.log(`✅ Cortex initialized in ${initTime}ms (${this.performance.speedImprovement}x faster)`);
+      this.logger.info(`Cortex initialized in ${initTime}ms`, { durationMs: initTime });
+      this.emit('initialized', { durationMs: initTime, recovery });
       
       return {
         success: true,
         initializationTime: initTime,
-        performance: this.performance,
+        performance: this.calculatePerformance(),
+        recovery,
         status: 'READY'
       };
     } catch (error) {
-      console.error('❌ Cortex initialization failed:', error);
+      this.logger.error('Cortex initialization failed', { error });
       throw new Error(`Cortex initialization failed: ${error.message}`);
     }
   }
@@ -85,54 +150,1806 @@ class CortexManager {
   /**
    * Get entity with lazy loading and intelligent caching
    * Implements the revolutionary hybrid memory access pattern
+   * Options: `at` (commit id or ISO timestamp) reads a historical version;
+   * `principal` ({ id, roles }) is checked when access control is configured.
+   * While the L1 circuit breaker is open the result is built from the L0 reference and
+   * marked `degraded: true`; pass `allowDegraded: false` to get the error instead.
    */
-  async getEntity(entityName) {
+  async getEntity(entityName, options = {}) {
     if (!this.initialized) {
-      throw new Error('Cortex not initialized. Call initialize() first.');
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    if (options.at) {
+      const fileReference = await this.resolveFileReference(entityName);
+      const historical = await this.l1Repository.getEntityAt(fileReference, options.at);
+      await this.authorize(options.principal, 'read', this.describeEntity(historical));
+      await this.audit('entity:read', options.principal, {
+        entityName,
+        fileReference,
+        beforeHash: entityHash(historical),
+        afterHash: entityHash(historical),
+        details: { at: options.at }
+      });
+      return historical;
     }
 
     // Check L0 Bootstrap for lightweight reference
-    const lightweightRef = await this.l0Bootstrap.getLightweightReference(entityName);
+    const lightweightRef = await this.lookupReference(entityName, options.principal, 'read');
     
     if (!lightweightRef) {
-      throw new Error(`Entity '${entityName}' not found in L0 Bootstrap`);
+      throw new NotFoundError(`Entity '${entityName}' not found in L0 Bootstrap`);
     }
 
+    await this.authorizeReference(options.principal, 'read', lightweightRef);
+
     // Check cache first
     const cacheKey = `entity:${entityName}`;
-    if (this.cache.has(cacheKey)) {
+    const endRead = this.healthMonitor.startTimer('entity_read_duration_seconds');
+    let fullEntity = this.cache.get(cacheKey);
+    const cacheHit = fullEntity !== undefined;
+    if (cacheHit) {
       this.healthMonitor.recordCacheHit();
-      return this.cache.get(cacheKey);
+      this.prefetcher.recordHit(entityName);
+      endRead({ source: 'cache' });
+    } else {
+      this.healthMonitor.recordCacheMiss();
+      try {
+        // Lazy load from L1 Repository; the load caches the entity for future access
+        fullEntity = await this.loadEntity(lightweightRef);
+        endRead({ source: 'l1' });
+      } catch (error) {
+        if (!this.canDegrade(error, options)) {
+          throw error;
+        }
+        endRead({ source: 'degraded' });
+        return this.degradedEntity(lightweightRef, error, options.principal);
+      }
     }
 
-    // Lazy load from L1 Repository
-    const fullEntity = await this.l1Repository.getEntity(lightweightRef.fileReference);
-    
-    // Cache for future access
-    this.cache.set(cacheKey, fullEntity);
-    this.healthMonitor.recordCacheMiss();
+    const contentHash = entityHash(fullEntity);
+    const readKey = `${options.principal && options.principal.id ? options.principal.id : ''}\u0000${entityName}\u0000${contentHash}`;
+    if (!cacheHit || !this.readAuditedRecently(readKey)) {
+      await this.audit('entity:read', options.principal, {
+        entityName,
+        fileReference: lightweightRef.fileReference,
+        beforeHash: contentHash,
+        afterHash: contentHash
+      });
+      this.rememberAuditedRead(readKey);
+    }
+
+    // Warm the cache with entities that usually follow this one
+    this.prefetcher.schedule(entityName);
     
     return fullEntity;
   }
 
   /**
-   * Get comprehensive performance metrics
+   * Get several entities with at most `concurrency` (default 8) reads in flight
+   * Options are passed on to getEntity. Never rejects for individual entities: resolves to
+   * `{ results, loaded, failed }` with one `{ entityName, entity }` or `{ entityName, error }`
+   * per distinct name, in input order.
    */
-  getPerformanceMetrics() {
+  async getEntities(entityNames, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+    if (!Array.isArray(entityNames)) {
+      throw new InvalidArgumentError('getEntities() requires an array of entity names');
+    }
+
+    const { concurrency = this.config.batchConcurrency || 8, ...readOptions } = options;
+    const names = [...new Set(entityNames)];
+    const settled = await mapWithConcurrency(names, concurrency, entityName => this.getEntity(entityName, readOptions));
+
+    const results = settled.map((result, index) => (result.status === 'fulfilled'
+      ? { entityName: names[index], entity: result.value }
+      : { entityName: names[index], error: result.reason }));
+    const failed = results.filter(result => result.error).length;
+
+    return { results, loaded: results.length - failed, failed };
+  }
+
+  /**
+   * Get only the L0 summary of an entity
+   * Allowed for callers whose policy grants `summary` even when `read` is denied
+   */
+  async getSummary(entityName, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const lightweightRef = await this.lookupReference(entityName, options.principal, 'summary');
+    if (!lightweightRef) {
+      throw new NotFoundError(`Entity '${entityName}' not found in L0 Bootstrap`);
+    }
+
+    await this.authorizeReference(options.principal, 'summary', lightweightRef);
+    return lightweightRef;
+  }
+
+  /**
+   * Create a new entity in L1 and register its L0 reference
+   */
+  async createEntity(entity, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorize(options.principal, 'create', this.describeEntity(entity || {}));
+
+    const startTime = Date.now();
+    const result = await this.entityManager.createEntity(entity, options);
+    this.invalidateEntity(result.entityName, result.fileReference);
+    this.searchIndex.add(result.entity, result.reference);
+    await this.auditWrite(result, options.principal);
+    this.emitChange('entity:created', result, startTime);
+    return result;
+  }
+
+  /**
+   * Update an entity: `{ mode: 'replace' }` (default) or `{ mode: 'merge' }`
+   */
+  async updateEntity(entityName, data, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const resource = await this.authorizeReference(options.principal, 'update', await this.requireReference(entityName, options.principal, 'update'));
+    if (data && this.accessControl.enabled) {
+      // The entity as it will be stored must be allowed too; replace drops what `data` leaves out
+      await this.authorize(options.principal, 'update', (options.mode || 'replace') === 'replace'
+        ? this.describeEntity({ ...data, name: entityName })
+        : {
+          ...resource,
+          entityType: data.entityType || resource.entityType,
+          tags: data.tags || resource.tags
+        });
+    }
+
+    const startTime = Date.now();
+    const result = await this.entityManager.updateEntity(entityName, data, options);
+    this.invalidateEntity(result.entityName, result.fileReference);
+    this.searchIndex.add(result.entity, result.reference);
+    await this.auditWrite(result, options.principal);
+    this.emitChange('entity:updated', result, startTime, { mode: options.mode || 'replace' });
+    return result;
+  }
+
+  /**
+   * Append observations to an existing entity
+   */
+  async appendObservations(entityName, observations, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorizeReference(options.principal, 'update', await this.requireReference(entityName, options.principal, 'update'));
+
+    const startTime = Date.now();
+    const result = await this.entityManager.appendObservations(entityName, observations, options);
+    this.invalidateEntity(result.entityName, result.fileReference);
+    this.searchIndex.add(result.entity, result.reference);
+    await this.auditWrite(result, options.principal);
+    this.emitChange('entity:updated', result, startTime, { mode: 'append' });
+    return result;
+  }
+
+  /**
+   * Delete an entity from L1 and remove its L0 reference
+   */
+  async deleteEntity(entityName, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorizeReference(options.principal, 'delete', await this.requireReference(entityName, options.principal, 'delete'));
+
+    const startTime = Date.now();
+    const result = await this.entityManager.deleteEntity(entityName, options);
+    this.invalidateEntity(entityName, result.fileReference);
+    this.searchIndex.remove(entityName);
+    await this.auditChange('entity:delete', options.principal, {
+      entityName,
+      fileReference: result.fileReference,
+      beforeHash: entityHash(result.previous),
+      details: { commit: result.commit }
+    });
+
+    // Relations cannot outlive their endpoints
+    result.relationsRemoved = this.relationGraph.removeEntity(entityName);
+    if (result.relationsRemoved.length > 0) {
+      await this.saveRelations(this.l1Repository.commitMessage(
+        `Remove ${result.relationsRemoved.length} relation(s) of deleted entity ${entityName}`,
+        `Remove ${result.relationsRemoved.length} relation(s) of a deleted entity`));
+    }
+
+    this.emitChange('entity:deleted', result, startTime, { relationsRemoved: result.relationsRemoved.length });
+    return result;
+  }
+
+  /**
+   * Add a typed, directed relation between two existing entities
+   * Changing a relation changes both endpoints, so `options.principal` needs update on both.
+   */
+  async addRelation(from, to, relationType, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorizeRelation(options.principal, { from, to });
+
+    const added = this.relationGraph.add({ from, to, relationType });
+    if (added) {
+      const { commit } = await this.saveRelations(this.l1Repository.commitMessage(`Add relation ${from} -[${relationType}]-> ${to}`, `Add ${relationType} relation`));
+      await this.auditRelation('relation:add', options.principal, { from, to, relationType }, commit);
+      this.emit('relation:added', { from, to, relationType });
+    }
+
+    return { success: true, added, relation: { from, to, relationType } };
+  }
+
+  /**
+   * Remove a relation between two existing entities. Resolves `removed: false` when the
+   * relation did not exist. Like addRelation, needs update on both endpoints.
+   */
+  async removeRelation(from, to, relationType, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorizeRelation(options.principal, { from, to });
+
+    const removed = this.relationGraph.remove(from, to, relationType);
+    if (removed) {
+      const { commit } = await this.saveRelations(this.l1Repository.commitMessage(`Remove relation ${from} -[${relationType}]-> ${to}`, `Remove ${relationType} relation`));
+      await this.auditRelation('relation:remove', options.principal, { from, to, relationType }, commit);
+      this.emit('relation:removed', { from, to, relationType });
+    }
+
+    return { success: true, removed, relation: { from, to, relationType } };
+  }
+
+  /**
+   * Entities reachable from `entityName`
+   * Options: type (relationType), depth (hops, default 1), direction ('out' | 'in' | 'both')
+   * With access control, entities the principal may not read are left out and not traversed
+   */
+  async getRelated(entityName, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorizeName(options.principal, entityName);
+    return this.relationGraph.traverse(entityName, { ...options, filter: this.readableFilter(options.principal) });
+  }
+
+  /**
+   * Shortest relation path between two entities, or null if none exists
+   * Options: type, direction, maxDepth
+   * With access control, the path only runs through entities the principal may read
+   */
+  async findShortestPath(from, to, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    await this.authorizeName(options.principal, from);
+    await this.authorizeName(options.principal, to);
+    return this.relationGraph.shortestPath(from, to, { ...options, filter: this.readableFilter(options.principal) });
+  }
+
+  /**
+   * Import an MCP memory-server knowledge graph (JSONL file path or readable stream)
+   * Options: batchSize (default 50), dryRun, onConflict ('merge' | 'replace' | 'skip')
+   * Entities are written as they stream in; relations are applied once all entities are in,
+   * since they may refer to entities later in the file. Every record gets a report entry.
+   */
+  async importGraph(fileOrStream, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const batchSize = options.batchSize || 50;
+    const dryRun = Boolean(options.dryRun);
+    const onConflict = options.onConflict || 'merge';
+    if (!['merge', 'replace', 'skip'].includes(onConflict)) {
+      throw new InvalidArgumentError(`Unknown onConflict '${onConflict}'. Use 'merge', 'replace' or 'skip'.`);
+    }
+
+    this.logger.info(`Importing knowledge graph${dryRun ? ' (dry run)' : ''}...`);
+    const startTime = Date.now();
+    const records = [];
+    const pendingRelations = [];
+    const importedNames = new Set();
+    let batch = [];
+    let batchNumber = 0;
+
+    // Each batch is one commit and one L0 manifest write rather than one per entity
+    const flush = async () => {
+      if (batch.length === 0) return;
+      batchNumber++;
+      const items = batch;
+      batch = [];
+      const firstRecord = records.length;
+      await this.l0Bootstrap.batch(async () => {
+        try {
+          for (const item of items) {
+            records.push(await this.importEntityRecord(item, { dryRun, onConflict, importedNames, principal: options.principal }));
+          }
+        } finally {
+          // A batch of skipped records staged nothing to commit
+          if (!dryRun && records.slice(firstRecord).some(record => record.status !== 'skipped')) {
+            await this.l1Repository.storage.commitPending(`Import batch ${batchNumber} (${items.length} entities)`);
+          }
+        }
+      });
+      this.logger.debug(`Import batch ${batchNumber}: ${items.length} entities`);
+    };
+
+    for await (const { line, lineNumber } of McpGraphFormat.readLines(fileOrStream)) {
+      let record;
+      try {
+        record = McpGraphFormat.parseRecord(line);
+      } catch (error) {
+        records.push({ line: lineNumber, type: 'unknown', status: 'failed', error: error.message });
+        continue;
+      }
+
+      if (record.type === 'relation') {
+        pendingRelations.push({ line: lineNumber, relation: record.relation });
+        continue;
+      }
+
+      batch.push({ line: lineNumber, entity: record.entity });
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    const addedRelations = [];
+    for (const { line, relation } of pendingRelations) {
+      const entry = { line, type: 'relation', relation };
+      const missing = [relation.from, relation.to].filter(name =>
+        !importedNames.has(name) && !this.l0Bootstrap.lightweightReferences.has(name));
+
+      if (missing.length > 0) {
+        records.push({ ...entry, status: 'failed', error: `Unknown entity: ${missing.join(', ')}` });
+        continue;
+      }
+      try {
+        // Entities a dry run would create are not stored, so there is nothing to check yet
+        await this.authorizeRelation(options.principal, relation,
+          name => !dryRun || this.l0Bootstrap.lightweightReferences.has(name));
+      } catch (error) {
+        records.push({ ...entry, status: 'failed', error: error.message });
+        continue;
+      }
+
+      if (dryRun) {
+        const exists = this.relationGraph.getRelations(relation.from, { type: relation.relationType })
+          .some(existing => existing.to === relation.to);
+        records.push({ ...entry, status: exists ? 'skipped' : 'created' });
+      } else if (this.relationGraph.add(relation)) {
+        addedRelations.push(relation);
+        records.push({ ...entry, status: 'created' });
+      } else {
+        records.push({ ...entry, status: 'skipped' });
+      }
+    }
+
+    if (addedRelations.length > 0) {
+      const { commit } = await this.saveRelations(`Import ${addedRelations.length} relation(s)`);
+      for (const relation of addedRelations) {
+        await this.auditRelation('relation:add', options.principal, relation, commit);
+      }
+    }
+    if (!dryRun) {
+      await this.l0Bootstrap.persist();
+    }
+
+    const count = status => records.filter(record => record.status === status).length;
+    const report = {
+      success: count('failed') === 0,
+      dryRun,
+      total: records.length,
+      created: count('created'),
+      updated: count('updated'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      batches: batchNumber,
+      importTime: Date.now() - startTime,
+      records: records.sort((a, b) => a.line - b.line)
+    };
+
+    this.logger.info(`Import finished: ${report.created} created, ${report.updated} updated, ${report.skipped} skipped, ${report.failed} failed`);
+    this.emit('import:completed', {
+      dryRun,
+      total: report.total,
+      created: report.created,
+      updated: report.updated,
+      skipped: report.skipped,
+      failed: report.failed,
+      durationMs: report.importTime
+    });
+    return report;
+  }
+
+  /**
+   * Export entities and relations as MCP knowledge-graph JSONL to a writable stream
+   * `filter` is a predicate `(entity) => boolean` or `{ entityType, names }`.
+   * Relations are exported only when both endpoints are exported. The stream is not ended.
+   * With access control, only entities `options.principal` may read are exported.
+   * Unreadable entity files are reported in `failures` and skipped; the export goes on.
+   */
+  async exportGraph(stream, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const matches = this.createEntityFilter(options.filter);
+    const exported = new Set();
+    const failures = [];
+
+    for (const fileReference of await this.l1Repository.listEntities()) {
+      let entity;
+      try {
+        entity = await this.l1Repository.getEntity(fileReference);
+      } catch (error) {
+        // One unreadable file must not cost the rest of the export
+        this.logger.warn(`Skipping unreadable entity file ${fileReference}`, { fileReference, error });
+        failures.push({ fileReference, error: error.message });
+        continue;
+      }
+      if (!matches(entity) || !this.accessControl.can(options.principal, 'read', this.describeEntity(entity))) continue;
+
+      await McpGraphFormat.writeLine(stream, McpGraphFormat.serializeEntity(entity));
+      exported.add(entity.name);
+    }
+
+    let relations = 0;
+    for (const relation of this.relationGraph.toJSON()) {
+      if (!exported.has(relation.from) || !exported.has(relation.to)) continue;
+
+      await McpGraphFormat.writeLine(stream, McpGraphFormat.serializeRelation(relation));
+      relations++;
+    }
+
+    this.logger.info(`Exported ${exported.size} entities and ${relations} relations, ${failures.length} failed`);
+    return { success: failures.length === 0, entities: exported.size, relations, failed: failures.length, failures };
+  }
+
+  /**
+   * Recompute the audit trail's hash chain; reports the first tampered entry
+   * Pass `headHash` (from an earlier result, kept elsewhere) to also detect a truncated log
+   * whose `.head` anchor was rewritten
+   */
+  async verifyAuditLog(options = {}) {
+    return this.auditLog.verify(options);
+  }
+
+  /**
+   * Audit entries filtered by entityName, action, actor and ISO time range (`from`, `to`)
+   */
+  async queryAuditLog(filter = {}) {
+    return this.auditLog.query(filter);
+  }
+
+  /**
+   * Full-text search over entity names, types and observations (BM25 ranked)
+   * Options: limit, offset, filters { entityType, priority, evidenceQuality },
+   * includeEntities (load full entities for the returned page)
+   * Results carry L0 summaries; full entities only when requested.
+   */
+  async search(query, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    if (!this.searchIndex.built) {
+      await this.rebuildSearchIndex();
+    }
+
+    let { total, results } = this.searchIndex.search(query, options);
+
+    if (this.accessControl.enabled) {
+      // Filter before paginating so totals and pages only count what the caller may see
+      const offset = options.offset || 0;
+      const visible = this.filterSearchResults(
+        this.searchIndex.search(query, { ...options, offset: 0, limit: Infinity }).results,
+        options.principal
+      );
+      total = visible.length;
+      results = visible.slice(offset, offset + (options.limit || 10));
+    }
+
+    if (options.includeEntities) {
+      for (const result of results) {
+        if (result.summaryOnly) continue;
+        result.entity = await this.getEntity(result.entityName, { principal: options.principal });
+      }
+    }
+
+    return { query, total, results };
+  }
+
+  /**
+   * Rebuild the search index from every entity stored in L1
+   */
+  async rebuildSearchIndex() {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    this.logger.info('Rebuilding search index from L1...');
+    const startTime = Date.now();
+    const fileReferences = await this.l1Repository.listEntities();
+    const failed = [];
+
+    this.searchIndex.clear();
+    for (const fileReference of fileReferences) {
+      try {
+        const entity = await this.l1Repository.getEntity(fileReference);
+        const reference = await this.l0Bootstrap.getLightweightReference(entity.name, { track: false });
+        this.searchIndex.add(entity, reference || { fileReference });
+      } catch (error) {
+        failed.push({ fileReference, error: error.message });
+      }
+    }
+    this.searchIndex.built = true;
+
+    const rebuildTime = Date.now() - startTime;
+    this.logger.info(`Search index rebuilt in ${rebuildTime}ms (${this.searchIndex.documents.size} entities)`);
+
     return {
-      ...this.performance,
-      cacheStats: this.cache.getStats(),
-      healthMetrics: this.healthMonitor.getMetrics(),
-      l0Size: this.l0Bootstrap.getSize(),
-      l1Size: this.l1Repository.getSize(),
-      timestamp: new Date().toISOString()
+      success: failed.length === 0,
+      indexed: this.searchIndex.documents.size,
+      failed,
+      rebuildTime
     };
   }
 
-  // Private helper methods
-  calculateSpeedImprovement(initTime) {
-    const baselineTime = 3000; // 3 seconds baseline
-    return Math.round(baselineTime / initTime * 10) / 10;
+  /**
+   * Bytes saved by content-addressed observation storage
+   */
+  async dedupeReport() {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    return this.l1Repository.dedupeReport();
+  }
+
+  /**
+   * Remove observation blobs that no entity references any more
+   */
+  async collectGarbage(options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    return this.l1Repository.collectGarbage(options);
+  }
+
+  /**
+   * Register a declarative schema for an entityType: { entityType, version, schema }
+   * `persist: true` stores it in the repository metadata so every process loads it
+   */
+  async registerSchema(definition, options = {}) {
+    return this.l1Repository.registerSchema(definition, options);
+  }
+
+  /**
+   * Register a migration that upgrades an entityType from `fromVersion` to `fromVersion + 1` on read
+   */
+  registerMigration(entityType, fromVersion, migrate) {
+    this.l1Repository.registerMigration(entityType, fromVersion, migrate);
+  }
+
+  /**
+   * List L0 lightweight references, sorted by name
+   * Options: offset, limit, principal (only references whose summary it may see)
+   */
+  async listReferences(options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const offset = options.offset || 0;
+    const limit = options.limit || Infinity;
+    const references = [...this.l0Bootstrap.lightweightReferences.values()]
+      .filter(reference => this.accessControl.can(options.principal, 'summary', {
+        entityName: reference.entityName,
+        entityType: reference.entityType,
+        priority: reference.priority,
+        tags: reference.tags || []
+      }))
+      .sort((a, b) => a.entityName.localeCompare(b.entityName));
+
+    return {
+      total: references.length,
+      references: references.slice(offset, offset + limit).map(reference => ({ ...reference }))
+    };
+  }
+
+  /**
+   * List the stored versions of an entity, newest first
+   */
+  async listVersions(entityName, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const fileReference = await this.resolveFileReference(entityName);
+    const versions = await this.l1Repository.listVersions(fileReference);
+    await this.authorizeLatestVersion(options.principal, entityName, fileReference, versions);
+    return versions;
+  }
+
+  /**
+   * Compare two versions of an entity (commit ids or ISO timestamps)
+   * `to` defaults to the latest stored version
+   */
+  async diffVersions(entityName, from, to, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const fileReference = await this.resolveFileReference(entityName);
+    const fromVersion = await this.l1Repository.resolveVersion(fileReference, from);
+    const toVersion = to
+      ? await this.l1Repository.resolveVersion(fileReference, to)
+      : (await this.l1Repository.listVersions(fileReference))[0];
+
+    if (!toVersion) {
+      throw new NotFoundError(`Entity '${entityName}' has no stored versions`);
+    }
+
+    const [before, after] = await Promise.all([
+      this.l1Repository.getEntityAt(fileReference, fromVersion.commit),
+      this.l1Repository.getEntityAt(fileReference, toVersion.commit)
+    ]);
+    // L0 may describe a later version or nothing at all; the versions compared are what is read
+    await this.authorize(options.principal, 'read', this.describeEntity(before));
+    await this.authorize(options.principal, 'read', this.describeEntity(after));
+
+    return {
+      entityName,
+      fileReference,
+      from: { commit: fromVersion.commit, timestamp: fromVersion.timestamp },
+      to: { commit: toVersion.commit, timestamp: toVersion.timestamp },
+      ...this.diffObservations(before.observations || [], after.observations || []),
+      entityTypeChanged: before.entityType !== after.entityType
+        ? { from: before.entityType, to: after.entityType }
+        : null
+    };
+  }
+
+  /**
+   * Cross-check every L0 reference against L1 (fsck)
+   * Reports dangling references (no L1 file), orphaned L1 files (no reference - this includes
+   * entities demoted by the L0 budget), unreadable files, schema failures and references whose
+   * summary, size, entityType or tags no longer match the stored entity. Nothing is modified.
+   */
+  async verify() {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    this.logger.info('Verifying L0 references against L1...');
+    const startTime = Date.now();
+    const { entities, unreadable } = await this.scanL1();
+    const byFile = new Map(entities.map(scanned => [scanned.fileReference, scanned]));
+    const references = [...this.l0Bootstrap.lightweightReferences.values()];
+    const referencedFiles = new Set(references.map(reference => reference.fileReference));
+    const unreadableFiles = new Set(unreadable.map(({ fileReference }) => fileReference));
+
+    const report = {
+      valid: true,
+      references: references.length,
+      files: entities.length + unreadable.length,
+      danglingReferences: [],
+      orphanedFiles: [],
+      unreadableFiles: unreadable,
+      schemaFailures: entities
+        .filter(({ errors }) => errors.length > 0)
+        .map(({ entity, fileReference, errors }) => ({ entityName: entity.name, fileReference, errors })),
+      staleReferences: [],
+      verifyTime: 0
+    };
+
+    for (const reference of references) {
+      const scanned = byFile.get(reference.fileReference);
+      if (!scanned) {
+        if (!unreadableFiles.has(reference.fileReference)) {
+          report.danglingReferences.push({ entityName: reference.entityName, fileReference: reference.fileReference });
+        }
+        continue;
+      }
+
+      const fields = this.l0Bootstrap.checkReference(reference, scanned.entity);
+      if (fields.length > 0) {
+        report.staleReferences.push({ entityName: reference.entityName, fileReference: reference.fileReference, fields });
+      }
+    }
+
+    report.orphanedFiles = entities
+      .filter(({ fileReference }) => !referencedFiles.has(fileReference))
+      .map(({ entity, fileReference }) => ({ entityName: entity.name, fileReference }));
+
+    report.valid = ['danglingReferences', 'orphanedFiles', 'unreadableFiles', 'schemaFailures', 'staleReferences']
+      .every(field => report[field].length === 0);
+    report.verifyTime = Date.now() - startTime;
+
+    this.logger[report.valid ? 'info' : 'warn'](`Verified ${report.references} references and ${report.files} L1 files ` +
+      `(${report.danglingReferences.length} dangling, ${report.orphanedFiles.length} orphaned, ` +
+      `${report.unreadableFiles.length} unreadable, ${report.schemaFailures.length} schema failures, ` +
+      `${report.staleReferences.length} stale)`);
+    return report;
+  }
+
+  /**
+   * Regenerate the whole L0 bootstrap layer by scanning L1
+   * Access history is kept for entities that still exist; unreadable files and entities
+   * without a name are skipped and reported.
+   */
+  async rebuildL0(options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    return this.regenerateL0(options.principal);
+  }
+
+  /**
+   * Encrypt every L1 file that is not yet under the active key (see `encryption` config)
+   * and move files still under readable names to keyed ones. Requires the `admin` action.
+   * Options: dryRun, principal
+   */
+  async reencrypt(options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+    await this.authorize(options.principal, 'admin', {});
+
+    const result = await this.l1Repository.reencrypt({ dryRun: options.dryRun });
+    if (!result.dryRun) {
+      await this.updateMovedReferences(result.moved);
+      await this.auditChange('encryption:reencrypt', options.principal, {
+        details: { keyId: result.keyId, rewritten: result.rewritten.length, moved: result.moved.length, commit: result.commit }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Make a new encryption key active and re-encrypt every L1 file with it
+   * Older keys stay with the key provider so past versions remain readable. Requires the `admin` action.
+   */
+  async rotateEncryptionKey(options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+    await this.authorize(options.principal, 'admin', {});
+
+    const result = await this.l1Repository.rotateEncryptionKey();
+    await this.updateMovedReferences(result.moved);
+    await this.auditChange('encryption:rotate', options.principal, {
+      details: { keyId: result.keyId, previousKeyId: result.previousKeyId, rewritten: result.rewritten.length, moved: result.moved.length, commit: result.commit }
+    });
+    return result;
+  }
+
+  /**
+   * Erase everything held about a data subject (right to erasure)
+   * `matcher` selects the subject (see SubjectMatcher). Entities whose name matches are deleted;
+   * matching observations are removed from all other entities. The subject also leaves the L0
+   * references and access patterns, the caches, the search index, the relation graph and, with
+   * deduplication, the observation blobs. Every change is authorized before the first is made.
+   * Audit entries naming the subject are pseudonymized unless `erasure.retainAuditEntries` is set.
+   * Options: principal, dryRun, substring (string matchers match inside words too), purgeHistory
+   * (rewrite git history so no past version keeps the data; this drops the past versions of every
+   * touched file). Resolves to an erasure report
+   * that names no erased entity, signed when `erasure.signingKey` or `erasure.signingKeyFile` is set.
+   * If a step fails, what was changed so far is committed and the report is marked incomplete.
+   */
+  async eraseSubject(matcher, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const subject = SubjectMatcher.from(matcher, { substring: options.substring });
+    const dryRun = Boolean(options.dryRun);
+    const storage = this.l1Repository.storage;
+    if (options.purgeHistory && typeof storage.purgeHistory !== 'function') {
+      throw new Error(`Storage '${storage.type}' has no history to purge`);
+    }
+    // A bad signing key must fail before anything is erased
+    const signingKey = await loadSigningKey(this.config.erasure);
+
+    const startTime = Date.now();
+    const found = await this.findSubjectData(subject);
+    const l0 = this.l0Bootstrap;
+
+    for (const { entity } of found.erase) {
+      await this.authorize(options.principal, 'delete', this.describeEntity(entity));
+    }
+    for (const { entity } of found.scrub) {
+      await this.authorize(options.principal, 'update', this.describeEntity(entity));
+    }
+    const erasedNames = new Set(found.erase.map(({ entity }) => entity.name));
+    for (const entityName of found.l0Names.filter(name => !erasedNames.has(name) && l0.lightweightReferences.has(name))) {
+      await this.authorizeReference(options.principal, 'delete', await this.requireReference(entityName, options.principal, 'delete'));
+    }
+
+    const touched = [...found.erase, ...found.scrub];
+    const digestSecret = this.erasureSetting('digestSecret');
+    const retainAudit = Boolean(this.erasureSetting('retainAuditEntries'));
+    const report = {
+      type: 'cortex-erasure-report',
+      version: 1,
+      id: crypto.randomUUID(),
+      createdAt: new Date(startTime).toISOString(),
+      completedAt: null,
+      actor: options.principal && options.principal.id ? options.principal.id : null,
+      dryRun,
+      // Keyed digests let a later request be checked against this report without repeating the names
+      ...(digestSecret ? {
+        subjectDigest: subject.digest(digestSecret),
+        entitiesErased: found.erase.map(({ entity }) => hmacSha256(digestSecret, entity.name))
+      } : {}),
+      entitiesErasedCount: found.erase.length,
+      entitiesScrubbed: found.scrub.map(({ entity, observations }) => ({
+        entityName: entity.name,
+        observationsRemoved: observations.length
+      })),
+      layers: {
+        l1Files: touched.length,
+        l0References: found.l0Names.filter(name => l0.lightweightReferences.has(name)).length,
+        accessPatterns: found.l0Names.filter(name => l0.accessPatterns.has(name)).length,
+        cache: touched.filter(({ entity }) => this.cache.has(`entity:${entity.name}`)).length,
+        searchIndex: touched.filter(({ entity }) => this.searchIndex.documents.has(entity.name)).length,
+        relations: found.relations.length,
+        auditEntries: retainAudit ? 0 : found.auditEntries.length,
+        blobs: null,
+        history: null
+      },
+      retained: {
+        // Kept as the record of processing only when configured to
+        auditEntries: retainAudit ? found.auditEntries.length : 0,
+        unreadableFiles: found.unreadable.length
+      },
+      complete: found.unreadable.length === 0
+    };
+
+    if (!dryRun) {
+      await this.applyErasure(found, report, { purgeHistory: Boolean(options.purgeHistory), subject, retainAudit });
+    }
+
+    report.completedAt = new Date().toISOString();
+    report.digest = sha256(canonicalJson(report));
+    if (signingKey) {
+      Object.assign(report, signReport(report, signingKey));
+    } else {
+      report.signature = null;
+      this.logger.warn('Erasure report is unsigned; configure erasure.signingKey or erasure.signingKeyFile');
+    }
+
+    const durationMs = Date.now() - startTime;
+    if (!dryRun) {
+      await this.auditChange('subject:erase', options.principal, {
+        details: {
+          reportId: report.id,
+          digest: report.digest,
+          entitiesErased: found.erase.length,
+          entitiesScrubbed: found.scrub.length,
+          auditEntriesPseudonymized: report.layers.auditEntries,
+          historyPurged: Boolean(report.layers.history),
+          complete: report.complete
+        }
+      });
+      this.emit('subject:erased', {
+        reportId: report.id,
+        entitiesErased: found.erase.length,
+        entitiesScrubbed: found.scrub.length,
+        durationMs
+      });
+    }
+
+    this.logger.info(`${dryRun ? 'Would erase' : 'Erased'} data subject: ${found.erase.length} entities, ` +
+      `${found.scrub.length} scrubbed${report.complete ? '' : `, ${found.unreadable.length} unreadable file(s) not checked`}`,
+    { reportId: report.id, durationMs });
+    return report;
+  }
+
+  /**
+   * Everything held about a data subject, for a subject access request
+   * Includes the subject's entities, matching observations elsewhere, relations, L0 references
+   * and access patterns, stored versions (with history) and audit entries. Requires `read`
+   * on every entity involved, on both ends of every relation and on every name in the L0
+   * data or the audit entries; names without an entity are checked by name alone. Audit
+   * entries name no principal other than the caller. Options: principal, substring (as eraseSubject)
+   */
+  async exportSubject(matcher, options = {}) {
+    if (!this.initialized) {
+      throw new NotInitializedError('Cortex not initialized. Call initialize() first.');
+    }
+
+    const subject = SubjectMatcher.from(matcher, { substring: options.substring });
+    const found = await this.findSubjectData(subject);
+    const principal = options.principal;
+    const authorized = new Set();
+    for (const { entity } of [...found.erase, ...found.scrub]) {
+      await this.authorize(principal, 'read', this.describeEntity(entity));
+      authorized.add(entity.name);
+    }
+    const names = [
+      ...found.relations.flatMap(({ from, to }) => [from, to]),
+      ...found.l0Names,
+      ...found.auditEntries.map(entry => entry.entityName)
+    ];
+    for (const name of new Set(names)) {
+      if (authorized.has(name)) continue;
+      const reference = await this.l0Bootstrap.getLightweightReference(name, { track: false });
+      if (reference) {
+        await this.authorizeReference(principal, 'read', reference);
+      } else {
+        await this.authorize(principal, 'read', { entityName: name });
+      }
+    }
+
+    const versions = {};
+    if (this.l1Repository.storage.supportsHistory) {
+      for (const { entity, fileReference } of [...found.erase, ...found.scrub]) {
+        versions[entity.name] = await this.l1Repository.listVersions(fileReference);
+      }
+    }
+
+    const l0 = this.l0Bootstrap;
+    const callerId = principal && principal.id ? principal.id : null;
+    const digestSecret = this.erasureSetting('digestSecret');
+    const exported = {
+      type: 'cortex-subject-export',
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      ...(digestSecret ? { subjectDigest: subject.digest(digestSecret) } : {}),
+      entities: found.erase.map(({ entity }) => entity),
+      observations: found.scrub.map(({ entity, observations }) => ({
+        entityName: entity.name,
+        entityType: entity.entityType,
+        observations
+      })),
+      relations: found.relations,
+      references: found.l0Names
+        .filter(name => l0.lightweightReferences.has(name))
+        .map(name => ({ ...l0.lightweightReferences.get(name) })),
+      accessPatterns: found.l0Names
+        .filter(name => l0.accessPatterns.has(name))
+        .map(name => ({ entityName: name, ...l0.accessPatterns.get(name) })),
+      versions,
+      // Who else worked with the data is not the subject's to see
+      auditEntries: found.auditEntries.map(entry => ({ ...entry, actor: entry.actor === callerId ? entry.actor : null })),
+      unreadableFiles: found.unreadable.length
+    };
+
+    await this.audit('subject:export', options.principal, {
+      details: {
+        ...(digestSecret ? { subjectDigest: exported.subjectDigest } : {}),
+        entities: exported.entities.length,
+        observations: found.scrub.reduce((sum, { observations }) => sum + observations.length, 0)
+      }
+    });
+    this.logger.info(`Exported data subject: ${exported.entities.length} entities, ${exported.observations.length} with matching observations`);
+    return exported;
+  }
+
+  /**
+   * Get comprehensive performance metrics
+   */
+  getPerformanceMetrics() {
+    return {
+      ...this.calculatePerformance(),
+      cacheStats: this.cache.getStats(),
+      healthMetrics: this.healthMonitor.getMetrics(),
+      l0Size: this.l0Bootstrap.getSize(),
+      l1Size: this.l1Repository.getSize(),
+      l1Circuit: this.l1Repository.circuitBreaker.getStats(),
+      searchIndex: this.searchIndex.getStats(),
+      relations: this.relationGraph.size,
+      prefetch: this.prefetcher.getStats(),
+      coalescing: { ...this.coalescing, inFlight: this.inFlight.size },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Render the measured metrics and health checks in the Prometheus text format
+   */
+  getPrometheusMetrics() {
+    return this.healthMonitor.toPrometheus();
+  }
+
+  /**
+   * Write state that is persisted lazily (L0 access history); call before the process exits
+   */
+  async close() {
+    await this.l0Bootstrap.flush();
+  }
+
+  // Private helper methods
+
+  instrument() {
+    const monitor = this.healthMonitor;
+    monitor.defineCounter('l0_lookups_total', 'L0 reference lookups by result');
+    monitor.defineHistogram('l0_lookup_duration_seconds', 'L0 reference lookup latency');
+    monitor.defineCounter('l1_operations_total', 'L1 storage operations by operation and result');
+    monitor.defineHistogram('l1_operation_duration_seconds', 'L1 storage operation latency by operation');
+    monitor.defineHistogram('entity_read_duration_seconds', 'Time to obtain an entity by source (cache, l1, degraded)');
+
+    const recordL1 = (operation, result) => ({ durationMs }) => {
+      monitor.increment('l1_operations_total', { operation, result });
+      monitor.observe('l1_operation_duration_seconds', durationMs || 0, { operation });
+    };
+    const recordRead = recordL1('read', 'success');
+    this.l1Repository.on('entity:loaded', payload => {
+      // Hits in an L1 entity cache never reach storage
+      if (!payload.cached) recordRead(payload);
+    });
+
+    monitor.defineCounter('cache_evictions_total', 'Entries the entity cache dropped on its own, by reason');
+    this.cache.on('evicted', ({ key, reason, size }) => {
+      monitor.increment('cache_evictions_total', { reason });
+      this.emit('cache:evicted', { key, entityName: key.replace(/^entity:/, ''), reason, size });
+    });
+    this.l1Repository.on('entity:stored', recordL1('write', 'success'));
+    this.l1Repository.on('entity:deleted', recordL1('delete', 'success'));
+    this.l1Repository.on('l1:error', payload => recordL1(payload.operation, 'error')(payload));
+
+    monitor.defineGauge('l0_references', 'Lightweight references held in L0',
+      () => this.l0Bootstrap.lightweightReferences.size);
+    monitor.defineGauge('l0_bytes', 'Serialized size of L0 in bytes', () => this.l0Bootstrap.getSize().totalBytes);
+    monitor.defineGauge('l0_budget_bytes', 'Configured L0 size budget in bytes', () => this.l0Bootstrap.budgetBytes);
+    monitor.defineGauge('l1_circuit_open', 'L1 circuit breaker: 0 closed, 1 half-open, 2 open',
+      () => CIRCUIT_LEVEL[this.l1Repository.circuitBreaker.state]);
+    monitor.defineGauge('cache_entries', 'Entities held in the cache', () => this.cache.size);
+    monitor.defineGauge('cache_bytes', 'Serialized size of the cached entities in bytes', () => this.cache.bytes);
+    monitor.defineGauge('inflight_loads', 'L1 loads currently in flight', () => this.inFlight.size);
+
+    // Rates need a few samples before they mean anything
+    const minSamples = 20;
+    monitor.addCheck({
+      name: 'cache_hit_rate',
+      description: 'Share of entity reads served from the cache',
+      below: true,
+      warn: 0.5,
+      value: () => {
+        const lookups = monitor.getCounter('cache_requests_total', { layer: 'cortex' });
+        return lookups >= minSamples ? monitor.getHitRate('cortex') : null;
+      }
+    });
+    monitor.addCheck({
+      name: 'l1_read_latency_p95_ms',
+      description: '95th percentile latency of L1 reads in ms',
+      warn: 500,
+      critical: 2000,
+      value: () => monitor.getLatency('l1_operation_duration_seconds', { operation: 'read' }).p95Ms
+    });
+    monitor.addCheck({
+      name: 'l1_error_rate',
+      description: 'Share of L1 operations that failed',
+      warn: 0.05,
+      critical: 0.25,
+      value: () => {
+        const total = monitor.getCounter('l1_operations_total');
+        const errors = monitor.getCounter('l1_operations_total', { result: 'error' });
+        return total >= minSamples ? Math.round(errors / total * 1000) / 1000 : null;
+      }
+    });
+    monitor.addCheck({
+      name: 'l0_budget_usage',
+      description: 'L0 size as a share of its budget',
+      warn: 0.9,
+      critical: 1,
+      value: () => (this.l0Bootstrap.budgetBytes > 0
+        ? Math.round(this.l0Bootstrap.getSize().totalBytes / this.l0Bootstrap.budgetBytes * 1000) / 1000
+        : null)
+    });
+    monitor.addCheck({
+      name: 'l1_circuit',
+      description: 'L1 circuit breaker state: 0 closed, 1 half-open, 2 open',
+      warn: 0,
+      critical: 1,
+      value: () => CIRCUIT_LEVEL[this.l1Repository.circuitBreaker.state]
+    });
+  }
+
+  async lookupReference(entityName, principal, action) {
+    const endLookup = this.healthMonitor.startTimer('l0_lookup_duration_seconds');
+    const reference = await this.l0Bootstrap.getLightweightReference(entityName);
+    endLookup();
+    this.healthMonitor.increment('l0_lookups_total', { result: reference ? 'hit' : 'miss' });
+
+    if (!reference && await this.promoteDemoted(entityName, principal, action)) {
+      return this.l0Bootstrap.getLightweightReference(entityName);
+    }
+    return reference;
+  }
+
+  calculatePerformance() {
+    this.l0Bootstrap.calculateMetrics();
+    const l0 = this.l0Bootstrap.metrics;
+
+    return {
+      memoryReduction: l0.memoryReduction,
+      speedImprovement: this.calculateSpeedImprovement(),
+      compressionRatio: this.l1Repository.getMetrics().compression.ratio,
+      entitiesTransferred: l0.entitiesTransferred
+    };
+  }
+
+  async requireReference(entityName, principal, action) {
+    const reference = await this.l0Bootstrap.getLightweightReference(entityName, { track: false }) ||
+      await this.promoteDemoted(entityName, principal, action);
+    if (!reference) {
+      throw new NotFoundError(`Entity '${entityName}' not found in L0 Bootstrap`);
+    }
+    return reference;
+  }
+
+  /**
+   * Bring back the L0 reference of an entity that is only in L1 (e.g. demoted by
+   * the L0 budget). The caller must be allowed the action before L0 changes.
+   */
+  async promoteDemoted(entityName, principal, action) {
+    const demoted = await this.entityManager.findDemoted(entityName);
+    if (!demoted) {
+      return null;
+    }
+
+    await this.authorize(principal, action, this.describeEntity(demoted.entity));
+    this.logger.debug('Re-promoting demoted entity to L0', { entityName });
+    return this.entityManager.promote(entityName, demoted);
+  }
+
+  describeEntity(entity) {
+    return {
+      entityName: entity.name,
+      entityType: entity.entityType,
+      priority: this.l0Bootstrap.calculatePriority(entity),
+      tags: Array.isArray(entity.tags) ? entity.tags : []
+    };
+  }
+
+  /**
+   * Check an action against an L0 reference; resolves to the resource that was checked.
+   * A denied read carries the L0 summary when the caller may see it.
+   */
+  async authorizeReference(principal, action, reference) {
+    const resource = {
+      entityName: reference.entityName,
+      entityType: reference.entityType,
+      priority: reference.priority,
+      tags: reference.tags || []
+    };
+
+    if (!this.accessControl.enabled) {
+      return resource;
+    }
+
+    // References written before entityType was tracked in L0 need the stored entity
+    if (resource.entityType === undefined) {
+      const entity = await this.l1Repository.getEntity(reference.fileReference);
+      resource.entityType = entity.entityType;
+      resource.tags = Array.isArray(entity.tags) ? entity.tags : [];
+    }
+
+    const summaryVisible = action === 'read' && this.accessControl.can(principal, 'summary', resource);
+    await this.authorize(principal, action, resource, {
+      summary: summaryVisible ? reference.summary : undefined
+    });
+
+    return resource;
+  }
+
+  /**
+   * AccessControl.authorize that also records denials in the audit trail
+   */
+  async authorize(principal, action, resource, details = {}) {
+    try {
+      return this.accessControl.authorize(principal, action, resource, details);
+    } catch (error) {
+      if (error instanceof AccessControl.AccessDeniedError) {
+        await this.recordDenial(principal, action, resource.entityName);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Authorize a read of an entity known only by name; without an L0 reference there is
+   * nothing to check policies against, so access control denies it
+   */
+  async authorizeName(principal, entityName) {
+    if (!this.accessControl.enabled) {
+      return;
+    }
+
+    const reference = await this.l0Bootstrap.getLightweightReference(entityName, { track: false });
+    if (!reference) {
+      await this.recordDenial(principal, 'read', entityName);
+      throw new AccessControl.AccessDeniedError('read', { entityName }, principal);
+    }
+    await this.authorizeReference(principal, 'read', reference);
+  }
+
+  /**
+   * Synchronous read check for graph traversal, from L0 references alone
+   * Returns undefined when access control is off, so traversal is not filtered
+   */
+  readableFilter(principal) {
+    if (!this.accessControl.enabled) {
+      return undefined;
+    }
+
+    return entityName => {
+      const reference = this.l0Bootstrap.lightweightReferences.get(entityName);
+      // References that predate entityType tracking cannot be checked without L1
+      return Boolean(reference && reference.entityType !== undefined) && this.accessControl.can(principal, 'read', {
+        entityName: reference.entityName,
+        entityType: reference.entityType,
+        priority: reference.priority,
+        tags: reference.tags || []
+      });
+    };
+  }
+
+  /**
+   * Authorize a history listing against the newest stored version rather than L0, which may
+   * describe nothing (deleted or demoted). Deletions are skipped; with no stored version left
+   * there is nothing to check, so access is denied.
+   */
+  async authorizeLatestVersion(principal, entityName, fileReference, versions) {
+    if (!this.accessControl.enabled) {
+      return;
+    }
+
+    for (const version of versions) {
+      let entity;
+      try {
+        entity = await this.l1Repository.getEntityAt(fileReference, version.commit);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      await this.authorize(principal, 'read', this.describeEntity(entity));
+      return;
+    }
+
+    await this.recordDenial(principal, 'read', entityName);
+    throw new AccessControl.AccessDeniedError('read', { entityName }, principal);
+  }
+
+  async recordDenial(principal, action, entityName) {
+    this.emit('access:denied', { action, entityName, principal: principal ? principal.id : undefined });
+    await this.audit('access:denied', principal, {
+      entityName,
+      details: { action }
+    });
+  }
+
+  async recoverL0() {
+    if (this.config.autoRecoverL0 === false || this.l0Bootstrap.lightweightReferences.size > 0) {
+      return null;
+    }
+    // Without a manifest L0 always starts empty; scanning L1 on every start needs an explicit opt-in
+    if (this.l0Bootstrap.config.manifestPath === null && this.config.autoRecoverL0 !== true) {
+      return null;
+    }
+
+    // An empty L0 in front of a populated L1 means the manifest was lost or set aside as corrupt
+    const files = await this.l1Repository.listEntities();
+    if (files.length === 0) {
+      return null;
+    }
+
+    this.logger.warn(`L0 is empty but L1 holds ${files.length} entities, rebuilding L0 from L1...`);
+    return {
+      ...(await this.regenerateL0()),
+      reason: this.l0Bootstrap.recoveredFrom ? 'corrupt-manifest' : 'missing-manifest',
+      corruptManifest: this.l0Bootstrap.recoveredFrom ? this.l0Bootstrap.recoveredFrom.backupPath : null
+    };
+  }
+
+  async regenerateL0(principal) {
+    const startTime = Date.now();
+    const { entities, unreadable } = await this.scanL1();
+
+    const skipped = [...unreadable];
+    const usable = entities.filter(({ entity, fileReference }) => {
+      if (entity && typeof entity.name === 'string' && entity.name) return true;
+      skipped.push({ fileReference, error: 'Entity has no name' });
+      return false;
+    });
+
+    const { references, previousReferences, budget } = await this.l0Bootstrap.rebuild(usable);
+    await this.auditChange('l0:rebuild', principal, { details: { references, previousReferences, skipped: skipped.length } });
+
+    return {
+      success: skipped.length === 0,
+      references,
+      previousReferences,
+      skipped,
+      demoted: budget.demoted.map(({ entityName }) => entityName),
+      rebuildTime: Date.now() - startTime
+    };
+  }
+
+  async scanL1() {
+    const files = await this.l1Repository.listEntities();
+    const results = await mapWithConcurrency(files, this.config.scanConcurrency || 8,
+      fileReference => this.l1Repository.inspectEntity(fileReference));
+
+    const entities = [];
+    const unreadable = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        entities.push({ fileReference: files[index], ...result.value });
+      } else {
+        unreadable.push({ fileReference: files[index], error: result.reason.message });
+      }
+    });
+    return { entities, unreadable };
+  }
+
+  async audit(action, principal, record = {}) {
+    return this.auditLog.append({
+      ...record,
+      action,
+      actor: principal && principal.id ? principal.id : null
+    });
+  }
+
+  /**
+   * Audit a change that has already been made. The change stands either way, so a failed
+   * append is reported through `audit:error` and the log rather than failing the call.
+   */
+  async auditChange(action, principal, record = {}) {
+    try {
+      return await this.audit(action, principal, record);
+    } catch (error) {
+      this.logger.error(`Audit entry for completed ${action} could not be written`, { action, entityName: record.entityName, error });
+      this.emit('audit:error', { action, entityName: record.entityName || null, error });
+      return null;
+    }
+  }
+
+  /**
+   * Whether this (principal, entity, content) read was audited within `auditReadWindow` ms;
+   * repeated cache hits are recorded once per window instead of once per call
+   */
+  readAuditedRecently(readKey) {
+    const last = this.auditedReads.get(readKey);
+    return last !== undefined && Date.now() - last < this.config.auditReadWindow;
+  }
+
+  rememberAuditedRead(readKey) {
+    const window = this.config.auditReadWindow;
+    if (!this.auditLog.enabled || !(window > 0)) {
+      return;
+    }
+
+    const now = Date.now();
+    if (this.auditedReads.size >= MAX_TRACKED_READS) {
+      for (const [trackedKey, time] of this.auditedReads) {
+        if (now - time >= window) this.auditedReads.delete(trackedKey);
+      }
+      if (this.auditedReads.size >= MAX_TRACKED_READS) {
+        // Forgetting a read only means its next cache hit is audited again
+        this.auditedReads.delete(this.auditedReads.keys().next().value);
+      }
+    }
+    this.auditedReads.delete(readKey);
+    this.auditedReads.set(readKey, now);
+  }
+
+  /**
+   * Check update on both endpoints of a relation; `shouldCheck(name)` can exempt endpoints
+   */
+  async authorizeRelation(principal, { from, to }, shouldCheck = () => true) {
+    for (const entityName of new Set([from, to])) {
+      if (!shouldCheck(entityName)) continue;
+      await this.authorizeReference(principal, 'update', await this.requireReference(entityName, principal, 'update'));
+    }
+  }
+
+  /**
+   * One entry per endpoint, so each entity's trail (and a subject's export or erasure)
+   * sees the relation; the other endpoint is not named.
+   */
+  async auditRelation(action, principal, { from, to, relationType }, commit) {
+    for (const [entityName, direction] of [[from, 'out'], [to, 'in']]) {
+      await this.auditChange(action, principal, { entityName, details: { relationType, direction, commit } });
+    }
+  }
+
+  async auditWrite(result, principal) {
+    const afterHash = entityHash(result.entity);
+    await this.auditChange('entity:store', principal, {
+      entityName: result.entityName,
+      fileReference: result.fileReference,
+      beforeHash: entityHash(result.previous),
+      afterHash,
+      details: { commit: result.commit }
+    });
+    await this.auditChange('reference:create', principal, {
+      entityName: result.entityName,
+      fileReference: result.fileReference,
+      afterHash
+    });
+  }
+
+  filterSearchResults(results, principal) {
+    return results.flatMap(result => {
+      const resource = {
+        entityName: result.entityName,
+        entityType: result.entityType,
+        priority: result.priority,
+        tags: result.tags
+      };
+
+      if (!this.accessControl.can(principal, 'search', resource)) return [];
+      if (this.accessControl.can(principal, 'read', resource)) return [result];
+      if (this.accessControl.can(principal, 'summary', resource)) {
+        // Snippets quote observation text, so summary-only callers do not get them
+        return [{ ...result, snippets: [], summaryOnly: true }];
+      }
+      return [];
+    });
+  }
+
+  async loadRelations() {
+    const relations = await this.l1Repository.readDocument(this.l1Repository.config.relationsPath, []);
+    this.relationGraph.load(relations);
+    this.logger.info(`Loaded ${this.relationGraph.size} relations`);
+  }
+
+  async saveRelations(message, options = {}) {
+    return this.l1Repository.writeDocument(this.l1Repository.config.relationsPath, this.relationGraph.toJSON(), { ...options, message });
+  }
+
+  erasureSetting(name) {
+    return (this.config.erasure || {})[name];
+  }
+
+  /**
+   * Locate a subject's data: entities to erase, entities to scrub (with the matching
+   * observations), names known to L0, relations and audit entries
+   */
+  async findSubjectData(subject) {
+    const { entities, unreadable } = await this.scanL1();
+    const erase = [];
+    const scrub = [];
+    for (const scanned of entities) {
+      if (subject.isSubjectEntity(scanned.entity)) {
+        erase.push(scanned);
+        continue;
+      }
+      const observations = subject.matchingObservations(scanned.entity);
+      if (observations.length > 0) {
+        scrub.push({ ...scanned, observations });
+      }
+    }
+
+    // Access patterns and followers can still name entities that are gone from L0
+    const l0 = this.l0Bootstrap;
+    const names = new Set([...l0.lightweightReferences.keys(), ...l0.accessPatterns.keys()]);
+    for (const pattern of l0.accessPatterns.values()) {
+      Object.keys(pattern.followers || {}).forEach(name => names.add(name));
+    }
+
+    return {
+      erase,
+      scrub,
+      l0Names: [...names].filter(name => subject.matchesText(name)),
+      relations: this.relationGraph.toJSON()
+        .filter(({ from, to }) => subject.matchesText(from) || subject.matchesText(to)),
+      auditEntries: (await this.auditLog.query())
+        .filter(entry => entry.entityName && subject.matchesText(entry.entityName)),
+      unreadable
+    };
+  }
+
+  /**
+   * Carry out an erasure planned by findSubjectData, filling in the report's layer counts
+   * All L1 changes land in one commit whose message names no one. When a step fails, the
+   * changes staged so far are committed under the same message and the report records the
+   * failed step and is marked incomplete; later steps are skipped.
+   */
+  async applyErasure(found, report, options) {
+    const repository = this.l1Repository;
+    const message = `Erase data subject records (erasure ${report.id})`;
+    const removedObservations = [];
+    let step = 'entities';
+
+    try {
+      for (const { entity, fileReference } of found.erase) {
+        await repository.deleteEntity(fileReference, { message, commit: false });
+        this.invalidateEntity(entity.name, fileReference);
+        this.searchIndex.remove(entity.name);
+        removedObservations.push(...(entity.observations || []));
+      }
+
+      step = 'observations';
+      for (const { entity, fileReference, observations } of found.scrub) {
+        const updated = { ...entity, observations: entity.observations.filter(obs => !observations.includes(obs)) };
+        let reference = { fileReference };
+        if (this.l0Bootstrap.lightweightReferences.has(entity.name)) {
+          reference = (await this.entityManager.updateEntity(entity.name, updated, { mode: 'replace', message, commit: false })).reference;
+        } else {
+          await repository.storeEntity(entity.name, updated, { message, commit: false });
+        }
+        this.invalidateEntity(entity.name, fileReference);
+        if (this.searchIndex.documents.has(entity.name)) {
+          this.searchIndex.add(updated, reference);
+        }
+        removedObservations.push(...observations);
+      }
+
+      step = 'l0';
+      for (const entityName of found.l0Names) {
+        await this.l0Bootstrap.removeLightweightReference(entityName);
+        this.prefetcher.forget(entityName);
+      }
+
+      step = 'relations';
+      found.relations.forEach(({ from, to, relationType }) => this.relationGraph.remove(from, to, relationType));
+      if (found.relations.length > 0) {
+        await this.saveRelations(message, { commit: false });
+      }
+
+      step = 'commit';
+      await repository.storage.commitPending(message);
+
+      step = 'audit';
+      if (!options.retainAudit && found.auditEntries.length > 0) {
+        const pseudonym = `erased-subject:${report.id}`;
+        report.layers.auditEntries = await this.auditLog.pseudonymize(
+          entry => entry.entityName !== null && options.subject.matchesText(entry.entityName), pseudonym);
+      }
+    } catch (error) {
+      await this.recordErasureFailure(report, step, error, message);
+      return;
+    }
+
+    // Blobs of erased observations are no longer referenced once the entities are rewritten
+    report.layers.blobs = repository.config.deduplication
+      ? (await repository.collectGarbage()).removed.length
+      : 0;
+
+    if (options.purgeHistory) {
+      const blobKeys = [...new Set(removedObservations)]
+        .flatMap(observation => repository.observationStore.blobKeys(String(observation)));
+      const keys = [
+        ...found.erase.map(({ fileReference }) => fileReference),
+        ...found.scrub.map(({ fileReference }) => fileReference),
+        ...(repository.config.deduplication ? blobKeys : []),
+        ...(found.relations.length > 0 ? [repository.config.relationsPath] : [])
+      ];
+      try {
+        const purged = await repository.storage.purgeHistory(keys, { message: `Restore current files after erasure ${report.id}` });
+        report.layers.history = { paths: purged.keys.length, commit: purged.commit };
+      } catch (error) {
+        // The current data is already gone; report the failure instead of losing the report
+        this.logger.error('Purging erased data from history failed', { reportId: report.id, error });
+        report.layers.history = { paths: keys.length, commit: null, failed: true };
+        report.complete = false;
+      }
+    }
+  }
+
+  async recordErasureFailure(report, step, error, message) {
+    // Staged changes must not wait for an unrelated write to commit them
+    let pending = 'committed';
+    try {
+      await this.l1Repository.storage.commitPending(message);
+    } catch (commitError) {
+      pending = 'uncommitted';
+      this.logger.error('Committing a partial erasure failed', { reportId: report.id, error: commitError });
+    }
+
+    this.logger.error(`Erasure stopped at step '${step}'`, { reportId: report.id, step, error });
+    report.complete = false;
+    report.failure = { step, error: error.message, pendingChanges: pending };
+  }
+
+  async importEntityRecord({ line, entity }, { dryRun, onConflict, importedNames, principal }) {
+    const entry = { line, type: 'entity', name: entity.name };
+
+    try {
+      await this.l1Repository.validateEntitySchema(entity);
+      const exists = importedNames.has(entity.name) || this.l0Bootstrap.lightweightReferences.has(entity.name);
+      importedNames.add(entity.name);
+
+      if (exists && onConflict === 'skip') {
+        return { ...entry, status: 'skipped' };
+      }
+      if (dryRun) {
+        return { ...entry, status: exists ? 'updated' : 'created' };
+      }
+
+      // Staged only; the batch commits them together
+      if (exists) {
+        await this.updateEntity(entity.name, entity, { mode: onConflict, principal, commit: false });
+        return { ...entry, status: 'updated' };
+      }
+
+      await this.createEntity(entity, { principal, commit: false });
+      return { ...entry, status: 'created' };
+    } catch (error) {
+      return { ...entry, status: 'failed', error: error.message };
+    }
+  }
+
+  createEntityFilter(filter) {
+    if (!filter) return () => true;
+    if (typeof filter === 'function') return filter;
+
+    const names = filter.names ? new Set(filter.names) : null;
+    const types = filter.entityType ? [].concat(filter.entityType) : null;
+    return entity => (!names || names.has(entity.name)) && (!types || types.includes(entity.entityType));
+  }
+
+  async prefetchEntity(entityName) {
+    // Prefetch reads must not count as access, or they would reinforce their own predictions
+    const reference = await this.l0Bootstrap.getLightweightReference(entityName, { track: false });
+    if (!reference) {
+      return null;
+    }
+
+    return this.loadEntity(reference);
+  }
+
+  canDegrade(error, options) {
+    if (this.config.degradedReads === false || options.allowDegraded === false) {
+      return false;
+    }
+
+    // Only an unavailable backend degrades; missing or invalid entities stay errors
+    return this.findCircuitError(error) !== null;
+  }
+
+  findCircuitError(error) {
+    for (let cause = error; cause; cause = cause.cause) {
+      if (cause.code === 'ECIRCUITOPEN') return cause;
+    }
+    return null;
+  }
+
+  async degradedEntity(reference, error, principal) {
+    const circuitError = this.findCircuitError(error) || error;
+    const entity = {
+      name: reference.entityName,
+      entityType: reference.entityType,
+      tags: reference.tags || [],
+      // Observations are unknown without L1; the L0 summary is all that is available
+      observations: [],
+      summary: reference.summary,
+      priority: reference.priority,
+      evidenceQuality: reference.evidenceQuality,
+      fileReference: reference.fileReference,
+      degraded: true,
+      degradedReason: circuitError.message,
+      retryAfter: circuitError.retryAfter || null
+    };
+
+    this.logger.warn(`Serving degraded L0 view of ${reference.entityName}`, { entityName: reference.entityName, reason: entity.degradedReason });
+    this.emit('entity:degraded', { entityName: reference.entityName, reason: entity.degradedReason, retryAfter: entity.retryAfter });
+    await this.audit('entity:read', principal, {
+      entityName: reference.entityName,
+      fileReference: reference.fileReference,
+      details: { degraded: true }
+    });
+    return entity;
+  }
+
+  loadEntity(reference) {
+    const cacheKey = `entity:${reference.entityName}`;
+    if (this.inFlight.has(cacheKey)) {
+      this.coalescing.coalesced++;
+      return this.inFlight.get(cacheKey);
+    }
+
+    this.coalescing.loads++;
+    const load = this.l1Repository.getEntity(reference.fileReference)
+      .then(entity => {
+        // A write invalidated this entity while it was loading; do not cache what may be stale
+        if (this.inFlight.get(cacheKey) === load) {
+          this.cache.set(cacheKey, entity, { pinned: reference.priority === 'critical' });
+        }
+        return entity;
+      })
+      .finally(() => {
+        if (this.inFlight.get(cacheKey) === load) {
+          this.inFlight.delete(cacheKey);
+        }
+      });
+
+    this.inFlight.set(cacheKey, load);
+    return load;
+  }
+
+  invalidateEntity(entityName, fileReference) {
+    this.prefetcher.forget(entityName);
+    this.inFlight.delete(`entity:${entityName}`);
+    if (this.cache.delete(`entity:${entityName}`)) {
+      this.emit('cache:evicted', { key: `entity:${entityName}`, entityName, reason: 'invalidated' });
+    }
+    this.l1Repository.invalidate(fileReference);
+  }
+
+  emitChange(event, result, startTime, details = {}) {
+    this.emit(event, {
+      entityName: result.entityName,
+      fileReference: result.fileReference,
+      commit: result.commit || null,
+      ...details,
+      durationMs: Date.now() - startTime
+    });
+  }
+
+  async resolveFileReference(entityName) {
+    // Entities no longer in L0 (deleted or demoted) still have history under their generated path
+    const reference = await this.l0Bootstrap.getLightweightReference(entityName, { track: false });
+    if (reference) {
+      return reference.fileReference;
+    }
+    return (await this.l1Repository.locateEntityFile(entityName)) || this.l1Repository.generateFileReference(entityName);
+  }
+
+  async updateMovedReferences(moved) {
+    // L0 references of entities re-encryption moved to keyed paths
+    await this.l0Bootstrap.batch(async () => {
+      for (const { entityName, to } of moved) {
+        if (await this.l0Bootstrap.getLightweightReference(entityName, { track: false })) {
+          await this.l0Bootstrap.createLightweightReference(entityName, await this.l1Repository.getEntity(to), to);
+        }
+      }
+    });
+  }
+
+  diffObservations(before, after) {
+    // Multiset difference so repeated observations are counted correctly
+    const remaining = new Map();
+    before.forEach(obs => remaining.set(obs, (remaining.get(obs) || 0) + 1));
+
+    const added = [];
+    after.forEach(obs => {
+      const count = remaining.get(obs) || 0;
+      if (count > 0) {
+        remaining.set(obs, count - 1);
+      } else {
+        added.push(obs);
+      }
+    });
+
+    const removed = [];
+    remaining.forEach((count, obs) => {
+      for (let i = 0; i < count; i++) removed.push(obs);
+    });
+
+    return { added, removed, unchanged: after.length - added.length };
+  }
+
+  calculateSpeedImprovement() {
+    // Measured: mean time of reads loaded from L1 over reads served from the cache
+    const fromL1 = this.healthMonitor.getLatency('entity_read_duration_seconds', { source: 'l1' });
+    const fromCache = this.healthMonitor.getLatency('entity_read_duration_seconds', { source: 'cache' });
+    if (!fromL1.count || !fromCache.count || !fromCache.avgMs) {
+      return null;
+    }
+    return Math.round(fromL1.avgMs / fromCache.avgMs * 10) / 10;
   }
 }
 
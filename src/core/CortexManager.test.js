@@ -0,0 +1,454 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Readable } = require('stream');
+const CortexManager = require('./CortexManager');
+const ObservationStore = require('../storage/ObservationStore');
+const { sha256, hmacSha256 } = require('../utils/hash');
+
+const ADMIN = { id: 'root', roles: ['admin'] };
+const ANALYST = { id: 'ana', roles: ['analyst'] };
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-manager-'));
+}
+
+async function guardedCortex(config = {}) {
+  const dir = tempDir();
+  const cortex = new CortexManager({
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: null,
+    storage: 'git',
+    logLevel: 'silent',
+    accessControl: {
+      roles: {
+        admin: [{ effect: 'allow', actions: ['*'] }],
+        analyst: [
+          { effect: 'allow', actions: ['read', 'update'] },
+          { effect: 'deny', actions: ['read', 'update'], match: { tags: ['pii'] } }
+        ]
+      }
+    },
+    ...config
+  });
+  await cortex.initialize();
+  return cortex;
+}
+
+test('history reads are authorized against the stored versions', async () => {
+  const cortex = await guardedCortex();
+  await cortex.createEntity({ name: 'Jane', entityType: 'Person', observations: ['a'], tags: ['pii'] }, { principal: ADMIN });
+  const versions = await cortex.listVersions('Jane', { principal: ADMIN });
+  await cortex.deleteEntity('Jane', { principal: ADMIN });
+
+  // Deleted: no L0 reference, but the last stored version is still tagged pii
+  await assert.rejects(cortex.listVersions('Jane', { principal: ANALYST }), { code: 'EACCES' });
+  await assert.rejects(cortex.diffVersions('Jane', versions[0].commit, versions[0].commit, { principal: ANALYST }),
+    { code: 'EACCES' });
+  assert.equal((await cortex.listVersions('Jane', { principal: ADMIN })).length, 2);
+  await assert.rejects(cortex.listVersions('Nobody', { principal: ADMIN }), { code: 'EACCES' });
+});
+
+test('relation queries leave out entities the principal may not read', async () => {
+  const cortex = await guardedCortex({ storage: 'memory', manifestPath: null });
+  for (const [name, tags] of [['A', []], ['Secret', ['pii']], ['B', []], ['C', []]]) {
+    await cortex.createEntity({ name, entityType: 'Note', observations: [], tags }, { principal: ADMIN });
+  }
+  await cortex.addRelation('A', 'Secret', 'knows', { principal: ADMIN });
+  await cortex.addRelation('Secret', 'C', 'knows', { principal: ADMIN });
+  await cortex.addRelation('A', 'B', 'knows', { principal: ADMIN });
+
+  const related = await cortex.getRelated('A', { depth: 2, principal: ANALYST });
+  assert.deepEqual(related.map(entry => entry.entityName), ['B']);
+  assert.equal(await cortex.findShortestPath('A', 'C', { principal: ANALYST }), null);
+  assert.deepEqual((await cortex.findShortestPath('A', 'C', { principal: ADMIN })).path, ['A', 'Secret', 'C']);
+  await assert.rejects(cortex.getRelated('Secret', { principal: ANALYST }), { code: 'EACCES' });
+});
+
+test('updates are authorized against the entity the write stores', async () => {
+  const cortex = await guardedCortex({ storage: 'memory', manifestPath: null });
+  const editor = { id: 'ed', roles: ['editor'] };
+  cortex.accessControl.defineRole('editor', [{ effect: 'allow', actions: ['read', 'update'], match: { tags: ['team'] } }]);
+  await cortex.createEntity({ name: 'Note', entityType: 'Note', observations: [], tags: ['team'] }, { principal: ADMIN });
+
+  await cortex.updateEntity('Note', { observations: ['x'] }, { principal: editor, mode: 'merge' });
+  // Replace without tags would store an entity the editor may no longer update
+  await assert.rejects(cortex.updateEntity('Note', { entityType: 'Note', observations: [] }, { principal: editor }),
+    { code: 'EACCES' });
+  await cortex.updateEntity('Note', { entityType: 'Note', observations: [], tags: ['team'] }, { principal: editor });
+});
+
+test('relation changes need update on both endpoints and are audited for each', async () => {
+  const cortex = await guardedCortex({ storage: 'memory', manifestPath: null, auditLogPath: path.join(tempDir(), 'audit.log') });
+  for (const [name, tags] of [['A', []], ['B', []], ['Secret', ['pii']]]) {
+    await cortex.createEntity({ name, entityType: 'Note', observations: [], tags }, { principal: ADMIN });
+  }
+
+  await assert.rejects(cortex.addRelation('A', 'Secret', 'knows', { principal: ANALYST }), { code: 'EACCES' });
+  await assert.rejects(cortex.addRelation('A', 'B', 'knows'), { code: 'EACCES' });
+  await cortex.addRelation('A', 'Secret', 'knows', { principal: ADMIN });
+  await assert.rejects(cortex.removeRelation('A', 'Secret', 'knows', { principal: ANALYST }), { code: 'EACCES' });
+  assert.equal(cortex.relationGraph.getRelations('A').length, 1);
+  await cortex.addRelation('A', 'B', 'knows', { principal: ANALYST });
+  await cortex.removeRelation('A', 'B', 'knows', { principal: ANALYST });
+
+  const entries = await cortex.queryAuditLog({ action: 'relation:add' });
+  assert.deepEqual(entries.map(entry => [entry.actor, entry.entityName, entry.details.direction]),
+    [['root', 'A', 'out'], ['root', 'Secret', 'in'], ['ana', 'A', 'out'], ['ana', 'B', 'in']]);
+  assert.equal((await cortex.queryAuditLog({ action: 'relation:remove' })).length, 2);
+
+  const report = await cortex.importGraph(Readable.from([
+    JSON.stringify({ type: 'relation', from: 'B', to: 'Secret', relationType: 'knows' }),
+    JSON.stringify({ type: 'relation', from: 'B', to: 'A', relationType: 'knows' })
+  ].join('\n')), { principal: ANALYST });
+  assert.deepEqual(report.records.map(record => record.status), ['failed', 'created']);
+  assert.deepEqual(cortex.relationGraph.getRelations('B').map(relation => relation.to), ['A']);
+});
+
+test('entities demoted from L0 are promoted back once the caller is allowed the action', async () => {
+  const cortex = await guardedCortex({ storage: 'memory', manifestPath: null });
+  const demote = name => cortex.l0Bootstrap.removeLightweightReference(name);
+  await cortex.createEntity({ name: 'Secret', entityType: 'Note', observations: ['s'], tags: ['pii'] }, { principal: ADMIN });
+  await cortex.createEntity({ name: 'Open', entityType: 'Note', observations: ['o'] }, { principal: ADMIN });
+  await demote('Secret');
+  await demote('Open');
+
+  await assert.rejects(cortex.getEntity('Secret', { principal: ANALYST }), { code: 'EACCES' });
+  assert.equal(cortex.l0Bootstrap.lightweightReferences.has('Secret'), false);
+  assert.deepEqual((await cortex.getEntity('Open', { principal: ANALYST })).observations, ['o']);
+  assert.ok(cortex.l0Bootstrap.lightweightReferences.has('Open'));
+
+  await demote('Open');
+  await cortex.updateEntity('Open', { observations: ['p'] }, { principal: ANALYST, mode: 'merge' });
+  await demote('Open');
+  await assert.rejects(cortex.createEntity({ name: 'Open', entityType: 'Note', observations: [] }, { principal: ADMIN }),
+    { code: 'EEXIST' });
+  await cortex.deleteEntity('Open', { principal: ADMIN });
+  await assert.rejects(cortex.getEntity('Open', { principal: ADMIN }), { code: 'ENOENT' });
+});
+
+test('a failed audit append does not fail a write that already happened', async () => {
+  const dir = tempDir();
+  const cortex = new CortexManager({
+    storage: 'memory', manifestPath: null, auditLogPath: path.join(dir, 'audit.log'), logLevel: 'silent'
+  });
+  await cortex.initialize();
+  const errors = [];
+  cortex.on('audit:error', event => errors.push(event.action));
+
+  cortex.auditLog.path = path.join(dir, 'missing', 'audit.log');
+  const result = await cortex.createEntity({ name: 'A', entityType: 'Note', observations: [] });
+  assert.equal(result.success, true);
+  assert.deepEqual(errors, ['entity:store', 'reference:create']);
+  // Reads fail closed: nothing is returned that was not audited
+  await assert.rejects(cortex.getEntity('A'), { code: 'ENOENT' });
+});
+
+test('repeated cache hits are audited once per window when a window is set', async () => {
+  const open = async config => {
+    const cortex = new CortexManager({
+      storage: 'memory', manifestPath: null, auditLogPath: path.join(tempDir(), 'audit.log'), logLevel: 'silent', ...config
+    });
+    await cortex.initialize();
+    await cortex.createEntity({ name: 'A', entityType: 'Note', observations: [] });
+    for (let i = 0; i < 3; i++) {
+      await cortex.getEntity('A', { principal: { id: 'ann', roles: [] } });
+    }
+    await cortex.getEntity('A', { principal: { id: 'bob', roles: [] } });
+    return (await cortex.queryAuditLog({ action: 'entity:read' })).map(entry => entry.actor);
+  };
+
+  assert.deepEqual(await open({ auditReadWindow: 60000 }), ['ann', 'bob']);
+  assert.deepEqual(await open(), ['ann', 'ann', 'ann', 'bob']);
+});
+
+test('without a manifest, startup does not rescan L1 unless asked to', async () => {
+  const localPath = path.join(tempDir(), 'l1');
+  const open = async config => {
+    const cortex = new CortexManager({ storage: 'filesystem', localPath, manifestPath: null, auditLogPath: null, logLevel: 'silent', ...config });
+    await cortex.initialize();
+    return cortex;
+  };
+  await (await open()).createEntity({ name: 'A', entityType: 'Note', observations: [] });
+
+  const fresh = await open();
+  assert.equal(fresh.l0Bootstrap.lightweightReferences.size, 0);
+  const recovering = await open({ autoRecoverL0: true });
+  assert.ok(recovering.l0Bootstrap.lightweightReferences.has('A'));
+});
+
+test('batch reads coalesce concurrent loads and keep at most `concurrency` L1 reads in flight', async () => {
+  const dir = tempDir();
+  const config = { storage: 'filesystem', localPath: path.join(dir, 'l1'), manifestPath: path.join(dir, 'l0.json'), auditLogPath: null, logLevel: 'silent' };
+  const writer = new CortexManager(config);
+  await writer.initialize();
+  for (const name of ['A', 'B', 'C', 'D', 'E']) {
+    await writer.createEntity({ name, entityType: 'Note', observations: [name] });
+  }
+  await writer.close();
+
+  const cortex = new CortexManager({ ...config, prefetch: { enabled: false } });
+  await cortex.initialize();
+  const getEntity = cortex.l1Repository.getEntity.bind(cortex.l1Repository);
+  let inFlight = 0;
+  let peak = 0;
+  cortex.l1Repository.getEntity = async (...args) => {
+    peak = Math.max(peak, ++inFlight);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return await getEntity(...args);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  const [batch, single] = await Promise.all([
+    cortex.getEntities(['A', 'B', 'C', 'D', 'E', 'A', 'Missing'], { concurrency: 2 }),
+    cortex.getEntity('A')
+  ]);
+
+  assert.deepEqual(batch.results.map(result => result.entityName), ['A', 'B', 'C', 'D', 'E', 'Missing']);
+  assert.equal(batch.loaded, 5);
+  assert.equal(batch.failed, 1);
+  assert.equal(batch.results[5].error.code, 'ENOENT');
+  assert.deepEqual(single.observations, ['A']);
+  assert.ok(peak <= 2, `peak of ${peak} L1 reads`);
+  assert.equal(cortex.getPerformanceMetrics().coalescing.loads, 5);
+  assert.equal(cortex.getPerformanceMetrics().coalescing.coalesced, 1);
+});
+
+test('reads fall back to the L0 summary while the L1 circuit is open', async () => {
+  const dir = tempDir();
+  const cortex = new CortexManager({
+    storage: 'filesystem',
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: null,
+    logLevel: 'silent',
+    prefetch: { enabled: false },
+    resilience: { retries: 0, failureThreshold: 1, resetTimeout: 60000 }
+  });
+  await cortex.initialize();
+  await cortex.createEntity({ name: 'A', entityType: 'Note', observations: ['kept in L1'] });
+  cortex.invalidateEntity('A');
+  cortex.l1Repository.storage.read = () => Promise.reject(Object.assign(new Error('backend down'), { code: 'EIO' }));
+
+  await assert.rejects(cortex.getEntity('A'), /backend down/);
+  const degraded = [];
+  cortex.on('entity:degraded', event => degraded.push(event.entityName));
+
+  const entity = await cortex.getEntity('A');
+  assert.equal(entity.degraded, true);
+  assert.deepEqual(entity.observations, []);
+  assert.deepEqual(degraded, ['A']);
+  await assert.rejects(cortex.getEntity('A', { allowDegraded: false }), error => error.cause.code === 'ECIRCUITOPEN');
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' });
+}
+
+test('verify accepts redacted summaries and flags plain ones once redaction is on', async () => {
+  const dir = tempDir();
+  const open = async encryption => {
+    const cortex = new CortexManager({
+      storage: 'filesystem',
+      localPath: path.join(dir, 'l1'),
+      manifestPath: path.join(dir, 'l0.json'),
+      auditLogPath: null,
+      logLevel: 'silent',
+      encryption: { keyfile: path.join(dir, 'keys.json'), create: true, ...encryption }
+    });
+    await cortex.initialize();
+    return cortex;
+  };
+
+  const redacting = await open({ redactSummaries: true });
+  await redacting.createEntity({ name: 'A', entityType: 'Note', observations: ['private text'] });
+  assert.equal((await redacting.verify()).valid, true);
+  await redacting.close();
+
+  const plain = await open({});
+  assert.equal((await plain.verify()).valid, true);
+  await plain.createEntity({ name: 'B', entityType: 'Note', observations: ['public text'] });
+  await plain.close();
+
+  const stale = (await (await open({ redactSummaries: true })).verify()).staleReferences;
+  assert.deepEqual(stale.map(entry => [entry.entityName, entry.fields.map(field => field.field)]), [['B', ['summary']]]);
+});
+
+test('with encryption, file names and commit messages do not reveal names or observations', async () => {
+  const dir = tempDir();
+  const localPath = path.join(dir, 'l1');
+  const cortex = new CortexManager({
+    storage: 'git',
+    localPath,
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: null,
+    logLevel: 'silent',
+    deduplication: true,
+    encryption: { keyfile: path.join(dir, 'keys.json'), create: true }
+  });
+  await cortex.initialize();
+  await cortex.createEntity({ name: 'Jane_Doe', entityType: 'Person', observations: ['born in Berlin'] });
+  await cortex.appendObservations('Jane_Doe', ['likes tea']);
+  await cortex.addRelation('Jane_Doe', 'Jane_Doe', 'knows');
+  await cortex.deleteEntity('Jane_Doe');
+
+  const files = git(localPath, 'log', '--all', '--name-only', '--format=%s');
+  assert.doesNotMatch(files, /jane/i);
+  assert.ok(!files.includes(ObservationStore.hash('born in Berlin')));
+  assert.match(files, /Create entity/);
+});
+
+test('reencrypt moves readable names to keyed ones and keeps entities readable', async () => {
+  const dir = tempDir();
+  const open = encryption => new CortexManager({
+    storage: 'filesystem',
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: null,
+    logLevel: 'silent',
+    deduplication: true,
+    ...(encryption ? { encryption: { keyfile: path.join(dir, 'keys.json'), create: true } } : {})
+  });
+
+  const plain = open(false);
+  await plain.initialize();
+  await plain.createEntity({ name: 'Jane', entityType: 'Person', observations: ['born in Berlin'] });
+  await plain.createEntity({ name: 'Max', entityType: 'Person', observations: ['born in Berlin', 'plays chess'] });
+  await plain.close();
+
+  const encrypted = open(true);
+  await encrypted.initialize();
+  // Writes move an entity on their own; reencrypt() moves the rest
+  await encrypted.appendObservations('Max', ['drinks coffee']);
+  const report = await encrypted.reencrypt();
+
+  assert.deepEqual(report.moved.map(entry => entry.entityName), ['Jane']);
+  const stored = (await encrypted.l1Repository.storage.list('cortex')).join('\n');
+  assert.doesNotMatch(stored, /jane|max/);
+  assert.ok(!stored.includes(ObservationStore.hash('born in Berlin')));
+
+  const reopened = open(true);
+  await reopened.initialize();
+  assert.deepEqual((await reopened.getEntity('Jane')).observations, ['born in Berlin']);
+  assert.deepEqual((await reopened.getEntity('Max')).observations, ['born in Berlin', 'plays chess', 'drinks coffee']);
+  assert.equal((await reopened.verify()).valid, true);
+});
+
+test('re-encryption requires the admin action and does not share commits with concurrent writes', async () => {
+  const dir = tempDir();
+  const cortex = await guardedCortex({ encryption: { keyfile: path.join(dir, 'keys.json'), create: true } });
+  await cortex.createEntity({ name: 'A', entityType: 'Note', observations: ['a'] }, { principal: ADMIN });
+
+  await assert.rejects(cortex.rotateEncryptionKey({ principal: ANALYST }), { code: 'EACCES' });
+  await assert.rejects(cortex.reencrypt({ principal: ANALYST }), { code: 'EACCES' });
+
+  const [rotated, created] = await Promise.all([
+    cortex.rotateEncryptionKey({ principal: ADMIN }),
+    cortex.createEntity({ name: 'B', entityType: 'Note', observations: ['b'] }, { principal: ADMIN })
+  ]);
+
+  const localPath = cortex.l1Repository.config.localPath;
+  const changed = commit => git(localPath, 'show', '--name-only', '--format=', commit).trim().split('\n').sort();
+  assert.deepEqual(changed(created.commit), [created.fileReference]);
+  assert.ok(!changed(rotated.commit).includes(created.fileReference));
+});
+
+async function subjectCortex(config = {}) {
+  const dir = tempDir();
+  const cortex = new CortexManager({
+    storage: 'git',
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: path.join(dir, 'audit.log'),
+    logLevel: 'silent',
+    ...config
+  });
+  await cortex.initialize();
+  await cortex.createEntity({ name: 'Jane_Doe', entityType: 'Person', observations: ['likes tea'] });
+  await cortex.createEntity({ name: 'Notes', entityType: 'Note', observations: ['Jane Doe called', 'office moved'] });
+  await cortex.getEntity('Jane_Doe');
+  return cortex;
+}
+
+test('erasure digests are keyed with the configured secret and left out without one', async () => {
+  const keyed = await subjectCortex({ erasure: { digestSecret: 's3cret' } });
+  const report = await keyed.eraseSubject('Jane Doe');
+  assert.deepEqual(report.entitiesErased, [hmacSha256('s3cret', 'Jane_Doe')]);
+  assert.notEqual(report.entitiesErased[0], sha256('Jane_Doe'));
+  assert.match(report.subjectDigest, /^[0-9a-f]{64}$/);
+  assert.equal(report.entitiesErasedCount, 1);
+
+  const unkeyed = await (await subjectCortex()).eraseSubject('Jane Doe');
+  assert.equal('entitiesErased' in unkeyed, false);
+  assert.equal('subjectDigest' in unkeyed, false);
+  assert.equal(unkeyed.entitiesErasedCount, 1);
+});
+
+test('erasure pseudonymizes audit entries naming the subject unless retention is configured', async () => {
+  const cortex = await subjectCortex();
+  const report = await cortex.eraseSubject('Jane Doe');
+
+  const entries = await cortex.auditLog.query();
+  assert.ok(report.layers.auditEntries > 0);
+  assert.equal(report.retained.auditEntries, 0);
+  assert.equal(entries.filter(entry => /jane/i.test(`${entry.entityName} ${entry.fileReference}`)).length, 0);
+  assert.equal(entries.filter(entry => entry.entityName === `erased-subject:${report.id}`).length, report.layers.auditEntries);
+  assert.equal((await cortex.verifyAuditLog()).valid, true);
+
+  const retaining = await subjectCortex({ erasure: { retainAuditEntries: true } });
+  const retained = await retaining.eraseSubject('Jane Doe');
+  assert.equal(retained.layers.auditEntries, 0);
+  assert.ok((await retaining.auditLog.query({ entityName: 'Jane_Doe' })).length >= retained.retained.auditEntries);
+  assert.ok(retained.retained.auditEntries > 0);
+});
+
+test('a failed erasure step commits what was changed and marks the report incomplete', async () => {
+  const cortex = await subjectCortex();
+  await cortex.addRelation('Notes', 'Jane_Doe', 'mentions');
+  cortex.saveRelations = async () => {
+    throw new Error('disk full');
+  };
+
+  const report = await cortex.eraseSubject('Jane Doe');
+
+  assert.equal(report.complete, false);
+  assert.deepEqual(report.failure, { step: 'relations', error: 'disk full', pendingChanges: 'committed' });
+  const localPath = cortex.l1Repository.config.localPath;
+  assert.equal(git(localPath, 'status', '--porcelain').trim(), '');
+  assert.equal(git(localPath, 'log', '-1', '--format=%s').trim(), `Erase data subject records (erasure ${report.id})`);
+  assert.equal(await cortex.l0Bootstrap.getLightweightReference('Jane_Doe', { track: false }), null);
+});
+
+test('erasing a subject with no data in a fresh git store completes', async () => {
+  const cortex = await guardedCortex({ accessControl: undefined });
+  const report = await cortex.eraseSubject('Nobody');
+
+  assert.equal(report.complete, true);
+  assert.equal(report.entitiesErasedCount, 0);
+});
+
+test('subject exports are authorized for every name they reveal and hide other principals', async () => {
+  const dir = tempDir();
+  const cortex = await guardedCortex({ auditLogPath: path.join(dir, 'audit.log') });
+  await cortex.createEntity({ name: 'Jane_Doe', entityType: 'Person', observations: ['likes tea'] }, { principal: ADMIN });
+  await cortex.createEntity({ name: 'Notes', entityType: 'Note', observations: ['Jane Doe called'] }, { principal: ADMIN });
+  await cortex.createEntity({ name: 'Payroll', entityType: 'Record', observations: ['salary'], tags: ['pii'] }, { principal: ADMIN });
+  await cortex.addRelation('Jane_Doe', 'Payroll', 'paid_by', { principal: ADMIN });
+  await cortex.getEntity('Jane_Doe', { principal: ANALYST });
+
+  await assert.rejects(cortex.exportSubject('Jane Doe', { principal: ANALYST }), { code: 'EACCES' });
+
+  await cortex.removeRelation('Jane_Doe', 'Payroll', 'paid_by', { principal: ADMIN });
+  const exported = await cortex.exportSubject('Jane Doe', { principal: ANALYST });
+  const actors = new Set(exported.auditEntries.map(entry => entry.actor));
+  assert.deepEqual([...actors].sort(), ['ana', null]);
+  assert.deepEqual(Object.keys(exported.versions).sort(), ['Jane_Doe', 'Notes']);
+  assert.ok(exported.versions.Notes.length > 0);
+});
@@ -0,0 +1,229 @@
+/**
+ * EntityManager - Write path across the L0 and L1 layers
+ * Revolutionary AGI Memory Management System
+ *
+ * Every write lands in L1 first and then refreshes the L0 lightweight
+ * reference, so L0 never points at data that was not stored. With encryption,
+ * commit messages name no entity.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const { ConflictError, NotFoundError, NotInitializedError, InvalidArgumentError } = require('../utils/errors');
+
+class EntityManager {
+  constructor(config = {}) {
+    this.config = config;
+    this.l0Bootstrap = null;
+    this.l1Repository = null;
+    this.initialized = false;
+  }
+
+  async initialize(l0Bootstrap, l1Repository) {
+    this.l0Bootstrap = l0Bootstrap;
+    this.l1Repository = l1Repository;
+    this.initialized = true;
+
+    return { success: true, status: 'READY' };
+  }
+
+  /**
+   * Create a new entity. Fails if an entity with the same name exists.
+   */
+  async createEntity(entity, options = {}) {
+    this.assertInitialized();
+
+    if (!entity || typeof entity.name !== 'string' || !entity.name) {
+      throw new InvalidArgumentError('Entity must have a valid name');
+    }
+
+    const existing = await this.l0Bootstrap.getLightweightReference(entity.name, { track: false });
+    if (existing) {
+      throw new ConflictError(`Entity '${entity.name}' already exists`);
+    }
+
+    // L0 does not know demoted entities, and different names can map to the same file
+    const fileReference = await this.l1Repository.locateEntityFile(entity.name);
+    if (fileReference) {
+      const { entity: stored } = await this.l1Repository.inspectEntity(fileReference);
+      throw new ConflictError(stored.name === entity.name
+        ? `Entity '${entity.name}' already exists`
+        : `Entity '${entity.name}' would overwrite '${stored.name}' stored at ${fileReference}`);
+    }
+
+    const data = {
+      ...entity,
+      observations: entity.observations || []
+    };
+
+    return this.save(entity.name, data, {
+      message: this.l1Repository.commitMessage(`Create entity ${entity.name}`, 'Create entity'),
+      ...options
+    });
+  }
+
+  /**
+   * Update an existing entity
+   * mode 'replace' (default) stores `data` as the new entity; mode 'merge'
+   * shallow-merges fields and adds observations that are not present yet.
+   */
+  async updateEntity(entityName, data, options = {}) {
+    this.assertInitialized();
+
+    const mode = options.mode || 'replace';
+    if (mode !== 'replace' && mode !== 'merge') {
+      throw new InvalidArgumentError(`Unknown update mode '${mode}'. Use 'replace' or 'merge'.`);
+    }
+
+    const { current } = await this.loadCurrent(entityName);
+
+    let updated;
+    if (mode === 'replace') {
+      updated = { ...data, name: entityName };
+    } else {
+      const observations = [...(current.observations || [])];
+      (data.observations || []).forEach(obs => {
+        if (!observations.includes(obs)) observations.push(obs);
+      });
+
+      updated = {
+        ...current,
+        ...data,
+        name: entityName,
+        observations,
+        metadata: { ...current.metadata, ...data.metadata }
+      };
+    }
+
+    return this.save(entityName, updated, {
+      message: this.l1Repository.commitMessage(`Update entity ${entityName} (${mode})`, `Update entity (${mode})`),
+      ...options
+    }, current);
+  }
+
+  /**
+   * Append observations to an existing entity, keeping everything else
+   */
+  async appendObservations(entityName, observations, options = {}) {
+    this.assertInitialized();
+
+    if (!Array.isArray(observations) || observations.length === 0) {
+      throw new InvalidArgumentError('appendObservations requires a non-empty observations array');
+    }
+
+    const { current } = await this.loadCurrent(entityName);
+    const updated = {
+      ...current,
+      observations: [...(current.observations || []), ...observations]
+    };
+
+    return this.save(entityName, updated, {
+      message: this.l1Repository.commitMessage(`Append ${observations.length} observation(s) to ${entityName}`,
+        `Append ${observations.length} observation(s)`),
+      ...options
+    }, current);
+  }
+
+  /**
+   * Delete an entity from L1 and drop its L0 reference
+   */
+  async deleteEntity(entityName, options = {}) {
+    this.assertInitialized();
+
+    const reference = await this.resolveReference(entityName);
+
+    // Keep the last content for callers that record what was removed
+    const previous = await this.l1Repository.getEntity(reference.fileReference).catch(() => null);
+
+    const result = await this.l1Repository.deleteEntity(reference.fileReference, {
+      message: this.l1Repository.commitMessage(`Delete entity ${entityName}`, 'Delete entity'),
+      ...options
+    });
+    await this.l0Bootstrap.removeLightweightReference(entityName);
+
+    return {
+      success: true,
+      entityName,
+      fileReference: reference.fileReference,
+      commit: result.commit,
+      previous
+    };
+  }
+
+  /**
+   * Find an entity that is stored in L1 but has no L0 reference, e.g. because
+   * the L0 budget demoted it. Resolves to { entity, fileReference } or null.
+   */
+  async findDemoted(entityName) {
+    this.assertInitialized();
+
+    const fileReference = await this.l1Repository.locateEntityFile(entityName);
+    if (!fileReference) {
+      return null;
+    }
+
+    // Different names can map to the same file
+    const { entity } = await this.l1Repository.inspectEntity(fileReference);
+    return entity.name === entityName ? { entity, fileReference } : null;
+  }
+
+  /**
+   * Give a demoted entity its L0 reference back
+   */
+  async promote(entityName, demoted) {
+    this.assertInitialized();
+
+    await this.l0Bootstrap.createLightweightReference(entityName, demoted.entity, demoted.fileReference);
+    return this.l0Bootstrap.getLightweightReference(entityName, { track: false });
+  }
+
+  // Private helper methods
+
+  async resolveReference(entityName) {
+    const reference = await this.l0Bootstrap.getLightweightReference(entityName, { track: false });
+    if (reference) {
+      return reference;
+    }
+
+    const demoted = await this.findDemoted(entityName);
+    if (!demoted) {
+      throw new NotFoundError(`Entity '${entityName}' not found`);
+    }
+    return this.promote(entityName, demoted);
+  }
+
+  async loadCurrent(entityName) {
+    const reference = await this.resolveReference(entityName);
+
+    // Always start from stored data, not a possibly stale cached copy
+    this.l1Repository.invalidate(reference.fileReference);
+    const current = await this.l1Repository.getEntity(reference.fileReference);
+
+    return { reference, current };
+  }
+
+  async save(entityName, data, options, previous = null) {
+    const stored = await this.l1Repository.storeEntity(entityName, data, options);
+    const reference = await this.l0Bootstrap.createLightweightReference(entityName, data, stored.fileReference);
+
+    return {
+      success: true,
+      entityName,
+      fileReference: stored.fileReference,
+      commit: stored.commit,
+      reference,
+      entity: data,
+      previous
+    };
+  }
+
+  assertInitialized() {
+    if (!this.initialized) {
+      throw new NotInitializedError('EntityManager not initialized. Call initialize() first.');
+    }
+  }
+}
+
+module.exports = EntityManager;
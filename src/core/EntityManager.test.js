@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const L0Bootstrap = require('./L0Bootstrap');
+const L1Repository = require('./L1Repository');
+const EntityManager = require('./EntityManager');
+
+async function memoryLayers() {
+  const l0Bootstrap = new L0Bootstrap({ manifestPath: null });
+  const l1Repository = new L1Repository({ storage: 'memory' });
+  await l0Bootstrap.initialize();
+  await l1Repository.connect();
+  const entityManager = new EntityManager();
+  await entityManager.initialize(l0Bootstrap, l1Repository);
+  const read = async entityName => {
+    const reference = await l0Bootstrap.getLightweightReference(entityName, { track: false });
+    return l1Repository.getEntity(reference.fileReference);
+  };
+  return { l0Bootstrap, l1Repository, entityManager, read };
+}
+
+test('create, update, append and delete keep L0 and L1 in step', async () => {
+  const { l0Bootstrap, l1Repository, entityManager, read } = await memoryLayers();
+  const { fileReference } = await entityManager.createEntity({ name: 'A', entityType: 'Note', observations: ['one'] });
+  await entityManager.updateEntity('A', { observations: ['two'] }, { mode: 'merge' });
+  await entityManager.appendObservations('A', ['three']);
+  assert.deepEqual((await read('A')).observations, ['one', 'two', 'three']);
+
+  await entityManager.updateEntity('A', { entityType: 'Note', observations: ['only'] });
+  assert.deepEqual((await read('A')).observations, ['only']);
+
+  await entityManager.deleteEntity('A');
+  assert.equal(await l0Bootstrap.getLightweightReference('A', { track: false }), null);
+  assert.equal(await l1Repository.storage.exists(fileReference), false);
+});
+
+test('create refuses names that map to another entity\'s file', async () => {
+  const { entityManager, read } = await memoryLayers();
+  await entityManager.createEntity({ name: 'Jane Doe', entityType: 'Person', observations: ['original'] });
+
+  await assert.rejects(entityManager.createEntity({ name: 'jane_doe', entityType: 'Person' }), /would overwrite 'Jane Doe'/);
+  assert.deepEqual((await read('Jane Doe')).observations, ['original']);
+});
+
+test('entities that are only missing from L0 are promoted back instead of recreated', async () => {
+  const { l0Bootstrap, entityManager, read } = await memoryLayers();
+  await entityManager.createEntity({ name: 'Demoted', entityType: 'Note', observations: ['kept'] });
+  await l0Bootstrap.removeLightweightReference('Demoted');
+
+  await assert.rejects(entityManager.createEntity({ name: 'Demoted', entityType: 'Note' }), /already exists/);
+  await entityManager.appendObservations('Demoted', ['more']);
+  assert.deepEqual((await read('Demoted')).observations, ['kept', 'more']);
+
+  await l0Bootstrap.removeLightweightReference('Demoted');
+  await entityManager.deleteEntity('Demoted');
+  await assert.rejects(entityManager.deleteEntity('Demoted'), { code: 'ENOENT' });
+});
@@ -7,18 +7,56 @@
  * @license MIT
  */
 
-class L0Bootstrap {
+const { EventEmitter } = require('events');
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/fileUtils');
+const { parseSize } = require('../utils/sizes');
+const Logger = require('../utils/Logger');
+const { NotInitializedError } = require('../utils/errors');
+
+const MANIFEST_FORMAT = 'cortex-l0-manifest';
+const MANIFEST_VERSION = 1;
+
+// Retention ranking used when the L0 budget is exceeded (higher is kept longer)
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+const EVIDENCE_RANK = { T3: 0, T2: 1, T1: 2 };
+const COMPACT_SUMMARY_LENGTH = 40;
+
+/**
+ * Events: reference:created, reference:removed, l0:budget, l0:rebuilt, l0:restored, l0:corrupt
+ */
+class L0Bootstrap extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       maxSize: config.l0MaxSize || '5MB',
       compressionRatio: config.compressionRatio || 8.3,
       transferThreshold: config.transferThreshold || '1KB',
-      ...config
+      coAccessWindow: config.coAccessWindow || 5 * 60 * 1000, // accesses this close count as co-access
+      maxFollowers: config.maxFollowers || 8,
+      accessPersistDelay: config.accessPersistDelay || 5000, // access history is written at most this often
+      autoRecoverL0: config.autoRecoverL0 !== false, // set aside an unreadable manifest instead of failing
+      ...config,
+      // null disables persistence (purely in-memory bootstrap)
+      manifestPath: config.manifestPath === null ? null : (config.manifestPath || '.cortex/l0-manifest.json'),
+      // The manifest is not encrypted; redacted summaries keep observation text out of it
+      redactSummaries: Boolean(config.encryption && config.encryption.redactSummaries)
     };
 
+    this.logger = Logger.from(config.logger, config.logLevel).child({ component: 'l0' });
     this.lightweightReferences = new Map();
     this.accessPatterns = new Map();
     this.transferQueue = [];
+    this.lastAccess = null;
+    this.persistQueue = Promise.resolve();
+    this.pendingFlush = null;
+    this.dirty = false;
+    this.batchDepth = 0;
+    this.accessPersistTimer = null;
+    this.budgetBytes = parseSize(this.config.maxSize);
+    this.lastBudgetReport = null;
+    this.recoveredFrom = null;
     this.initialized = false;
     
     // Performance metrics
@@ -26,7 +64,9 @@ class L0Bootstrap {
       memoryReduction: 0,
       entitiesTransferred: 0,
       compressionRatio: 0,
-      accessCount: 0
+      accessCount: 0,
+      referencesCompacted: 0,
+      referencesDemoted: 0
     };
   }
 
@@ -35,7 +75,7 @@ class L0Bootstrap {
    * Implements revolutionary lightweight reference management
    */
   async initialize() {
-    console.log('🧠 Initializing L0 Bootstrap Protocol v3.0...');
+    this.logger.info('Initializing L0 Bootstrap Protocol v3.0...');
     
     try {
       // Load existing lightweight references
@@ -48,7 +88,7 @@ class L0Bootstrap {
       this.calculateMetrics();
       
       this.initialized = true;
-      console.log(`✅ L0 Bootstrap initialized with ${this.lightweightReferences.size} references`);
+      this.logger.info(`L0 Bootstrap initialized with ${this.lightweightReferences.size} references`, { references: this.lightweightReferences.size });
       
       return {
         success: true,
@@ -57,7 +97,7 @@ class L0Bootstrap {
         status: 'READY'
       };
     } catch (error) {
-      console.error('❌ L0 Bootstrap initialization failed:', error);
+      this.logger.error('L0 Bootstrap initialization failed', { error });
       throw new Error(`L0 Bootstrap initialization failed: ${error.message}`);
     }
   }
@@ -65,27 +105,34 @@ class L0Bootstrap {
   /**
    * Get lightweight reference for entity
    * Core of the revolutionary hybrid memory access pattern
+   * Pass `{ track: false }` for internal lookups that must not count as access
    */
-  async getLightweightReference(entityName) {
+  async getLightweightReference(entityName, options = {}) {
     if (!this.initialized) {
-      throw new Error('L0 Bootstrap not initialized. Call initialize() first.');
+      throw new NotInitializedError('L0 Bootstrap not initialized. Call initialize() first.');
     }
 
-    // Record access pattern
-    this.recordAccess(entityName);
+    const track = options.track !== false;
 
+    // Misses are not recorded: access history counts against the budget, and lookups of
+    // unknown names would otherwise push out the references L0 is there to hold
     const reference = this.lightweightReferences.get(entityName);
     if (!reference) {
       return null;
     }
 
-    // Update access timestamp
-    reference.lastAccessed = new Date().toISOString();
-    reference.accessCount = (reference.accessCount || 0) + 1;
+    // Record access pattern and update access timestamp
+    if (track) {
+      this.recordAccess(entityName);
+      reference.lastAccessed = new Date().toISOString();
+      reference.accessCount = (reference.accessCount || 0) + 1;
+    }
 
     return {
       entityName: reference.entityName,
       fileReference: reference.fileReference,
+      entityType: reference.entityType,
+      tags: reference.tags,
       summary: reference.summary,
       priority: reference.priority,
       size: reference.size,
@@ -101,34 +148,230 @@ class L0Bootstrap {
    */
   async createLightweightReference(entityName, fullEntity, fileReference) {
     if (!this.initialized) {
-      throw new Error('L0 Bootstrap not initialized.');
+      throw new NotInitializedError('L0 Bootstrap not initialized.');
     }
 
     try {
-      const lightweightRef = {
-        entityName,
-        fileReference,
-        summary: this.generateSummary(fullEntity),
-        priority: this.calculatePriority(fullEntity),
-        size: this.calculateSize(fullEntity),
-        evidenceQuality: this.extractEvidenceQuality(fullEntity),
-        createdAt: new Date().toISOString(),
-        lastAccessed: new Date().toISOString(),
-        accessCount: 0,
-        transferredAt: new Date().toISOString()
-      };
+      const lightweightRef = this.buildReference(entityName, fullEntity, fileReference, this.lightweightReferences.get(entityName));
 
       this.lightweightReferences.set(entityName, lightweightRef);
       this.metrics.entitiesTransferred++;
+      this.enforceBudget({ protect: [entityName] });
+      await this.persist();
       
-      console.log(`📦 Created lightweight reference for ${entityName}`);
+      this.logger.debug(`Created lightweight reference for ${entityName}`, { entityName, fileReference });
+      this.emit('reference:created', { entityName, fileReference, priority: lightweightRef.priority, size: lightweightRef.size });
       return lightweightRef;
     } catch (error) {
-      console.error(`❌ Failed to create lightweight reference for ${entityName}:`, error);
+      this.logger.error(`Failed to create lightweight reference for ${entityName}`, { entityName, error });
       throw error;
     }
   }
 
+  /**
+   * Entities most often accessed right after `entityName`
+   * Options: limit, minSupport (minimum co-access count), minConfidence (share of accesses)
+   */
+  getCoAccessPredictions(entityName, options = {}) {
+    const pattern = this.accessPatterns.get(entityName);
+    if (!pattern || !pattern.followers) {
+      return [];
+    }
+
+    const minSupport = options.minSupport || 1;
+    const minConfidence = options.minConfidence || 0;
+
+    return Object.entries(pattern.followers)
+      .map(([follower, count]) => ({
+        entityName: follower,
+        count,
+        confidence: Math.round(count / pattern.count * 1000) / 1000
+      }))
+      .filter(prediction => prediction.count >= minSupport &&
+        prediction.confidence >= minConfidence &&
+        this.lightweightReferences.has(prediction.entityName))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, options.limit || 5);
+  }
+
+  /**
+   * Remove the lightweight reference and access history for an entity,
+   * including its place in other entities' co-access followers
+   */
+  async removeLightweightReference(entityName) {
+    if (!this.initialized) {
+      throw new NotInitializedError('L0 Bootstrap not initialized.');
+    }
+
+    const removed = this.lightweightReferences.delete(entityName);
+    let forgotten = this.accessPatterns.delete(entityName);
+    for (const pattern of this.accessPatterns.values()) {
+      if (pattern.followers && entityName in pattern.followers) {
+        delete pattern.followers[entityName];
+        forgotten = true;
+      }
+    }
+    if (this.lastAccess && this.lastAccess.entityName === entityName) {
+      this.lastAccess = null;
+    }
+
+    if (removed || forgotten) {
+      await this.persist();
+    }
+    if (removed) {
+      this.logger.debug(`Removed lightweight reference for ${entityName}`, { entityName });
+      this.emit('reference:removed', { entityName });
+    }
+    return removed;
+  }
+
+  /**
+   * Replace every lightweight reference with one generated from the given L1 entities
+   * `entries` is `[{ entity, fileReference }]`. Access history is kept for entities that
+   * are still present; the budget is enforced and the manifest written afterwards.
+   */
+  async rebuild(entries) {
+    if (!this.initialized) {
+      throw new NotInitializedError('L0 Bootstrap not initialized.');
+    }
+
+    const startTime = Date.now();
+    const previous = this.lightweightReferences;
+    this.lightweightReferences = new Map();
+    for (const { entity, fileReference } of entries) {
+      this.lightweightReferences.set(entity.name,
+        this.buildReference(entity.name, entity, fileReference, previous.get(entity.name)));
+    }
+
+    for (const entityName of [...this.accessPatterns.keys()]) {
+      if (!this.lightweightReferences.has(entityName)) {
+        this.accessPatterns.delete(entityName);
+      }
+    }
+    this.initializeAccessPatterns();
+
+    const budget = this.enforceBudget();
+    this.calculateMetrics();
+    await this.persist();
+
+    const result = { references: this.lightweightReferences.size, previousReferences: previous.size, budget };
+    this.logger.info(`L0 rebuilt with ${result.references} references (${result.previousReferences} before)`);
+    this.emit('l0:rebuilt', { references: result.references, previousReferences: result.previousReferences, durationMs: Date.now() - startTime });
+    return result;
+  }
+
+  /**
+   * Compare a reference with the entity it points to
+   * Returns the fields that no longer match: `[{ field, expected, actual }]`
+   */
+  checkReference(reference, fullEntity) {
+    // Budget compaction shortens summaries on purpose
+    const summaryFor = redact => {
+      const summary = this.generateSummary(fullEntity, { redact });
+      return reference.compacted ? this.compactSummary(summary) : summary;
+    };
+    // A redacted summary stays current whatever redactSummaries is set to now
+    const redacted = summaryFor(true);
+    const expected = {
+      entityName: fullEntity.name,
+      entityType: fullEntity.entityType,
+      tags: Array.isArray(fullEntity.tags) ? fullEntity.tags : [],
+      summary: reference.summary === redacted ? redacted : summaryFor(this.config.redactSummaries),
+      size: this.calculateSize(fullEntity)
+    };
+
+    return Object.entries(expected)
+      .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(field === 'tags' ? reference.tags || [] : reference[field]))
+      .map(([field, value]) => ({ field, expected: value, actual: reference[field] }));
+  }
+
+  /**
+   * Keep L0 within the l0MaxSize budget
+   * Access history of names without a reference is dropped first. Then the
+   * lowest-value references are compacted (summary shortened), then
+   * demoted (dropped from L0; the entity itself stays in L1). Ranking is by
+   * priority, then accessCount, then evidenceQuality. `critical` references
+   * and names listed in `options.protect` are never touched.
+   */
+  enforceBudget(options = {}) {
+    const protectedNames = new Set(options.protect || []);
+    const sizeBefore = this.getSize().totalBytes;
+    const report = {
+      budgetBytes: this.budgetBytes,
+      sizeBefore,
+      sizeAfter: sizeBefore,
+      withinBudget: sizeBefore <= this.budgetBytes,
+      compacted: [],
+      demoted: []
+    };
+
+    if (report.withinBudget) {
+      return report;
+    }
+
+    const candidates = [...this.lightweightReferences.values()]
+      .filter(ref => ref.priority !== 'critical' && !protectedNames.has(ref.entityName))
+      .sort((a, b) => this.compareRetention(a, b));
+
+    let overBudget = sizeBefore - this.budgetBytes;
+
+    // Phase 0: access history without a reference (e.g. from an older manifest) costs budget for nothing
+    for (const entityName of [...this.accessPatterns.keys()]) {
+      if (overBudget <= 0) break;
+      if (this.lightweightReferences.has(entityName)) continue;
+
+      overBudget -= this.estimateEntryBytes(entityName);
+      this.accessPatterns.delete(entityName);
+    }
+
+    // Phase 1: compact summaries, cheapest references first
+    for (const ref of candidates) {
+      if (overBudget <= 0) break;
+      if (ref.compacted || !ref.summary || ref.summary.length <= COMPACT_SUMMARY_LENGTH) continue;
+
+      const before = this.estimateEntryBytes(ref.entityName);
+      ref.summary = this.compactSummary(ref.summary);
+      ref.compacted = true;
+      overBudget -= before - this.estimateEntryBytes(ref.entityName);
+
+      report.compacted.push(ref.entityName);
+    }
+
+    // Phase 2: demote whole references until the budget holds
+    for (const ref of candidates) {
+      if (overBudget <= 0) break;
+
+      overBudget -= this.estimateEntryBytes(ref.entityName);
+      this.lightweightReferences.delete(ref.entityName);
+      this.accessPatterns.delete(ref.entityName);
+
+      report.demoted.push({
+        entityName: ref.entityName,
+        fileReference: ref.fileReference,
+        priority: ref.priority,
+        accessCount: ref.accessCount || 0,
+        evidenceQuality: ref.evidenceQuality
+      });
+    }
+
+    // Only report compactions that survived demotion
+    report.compacted = report.compacted.filter(name => this.lightweightReferences.has(name));
+    report.sizeAfter = this.getSize().totalBytes;
+    report.withinBudget = report.sizeAfter <= this.budgetBytes;
+
+    this.metrics.referencesCompacted += report.compacted.length;
+    this.metrics.referencesDemoted += report.demoted.length;
+    this.lastBudgetReport = report;
+
+    this.logger.info(`L0 budget enforced: ${report.compacted.length} compacted, ${report.demoted.length} demoted (${report.sizeAfter}/${this.budgetBytes} bytes)`);
+    if (!report.withinBudget) {
+      this.logger.warn('L0 still over budget: only critical or protected references remain', { sizeAfter: report.sizeAfter, budgetBytes: this.budgetBytes });
+    }
+    this.emit('l0:budget', report);
+
+    return report;
+  }
+
   /**
    * Get current L0 Bootstrap size
    * Critical for performance monitoring
@@ -141,6 +384,7 @@ class L0Bootstrap {
       totalBytes: referencesSize + accessPatternsSize,
       totalMB: Math.round((referencesSize + accessPatternsSize) / 1024 / 1024 * 100) / 100,
       referencesCount: this.lightweightReferences.size,
+      budgetBytes: this.budgetBytes,
       compressionRatio: this.metrics.compressionRatio
     };
   }
@@ -153,64 +397,302 @@ class L0Bootstrap {
       ...this.metrics,
       size: this.getSize(),
       accessPatterns: this.getAccessPatternStats(),
+      lastBudgetReport: this.lastBudgetReport,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Write the L0 manifest (references and access patterns) to disk
+   * Defaults to the configured manifestPath; the write is atomic
+   */
+  async snapshot(targetPath = this.config.manifestPath) {
+    if (!targetPath) {
+      throw new Error('No snapshot path given and manifest persistence is disabled.');
+    }
+
+    const resolvedPath = path.resolve(targetPath);
+    const manifest = this.serializeManifest();
+    const content = JSON.stringify(manifest, null, 2);
+
+    const write = this.persistQueue.then(() => writeFileAtomic(resolvedPath, content));
+    this.persistQueue = write.catch(() => {});
+    await write;
+
+    this.logger.debug(`L0 snapshot written to ${resolvedPath} (${manifest.references.length} references)`);
+    return {
+      path: resolvedPath,
+      references: manifest.references.length,
+      accessPatterns: manifest.accessPatterns.length,
+      bytes: Buffer.byteLength(content),
+      savedAt: manifest.savedAt
+    };
+  }
+
+  /**
+   * Run `operation` with manifest writes deferred, then write the manifest once
+   * Bulk loads use this so n reference changes cost one write instead of n.
+   */
+  async batch(operation) {
+    this.batchDepth++;
+    try {
+      return await operation();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        await this.flush();
+      }
+    }
+  }
+
+  /**
+   * Write pending changes (including debounced access history) now
+   */
+  async flush() {
+    if (this.accessPersistTimer) {
+      clearTimeout(this.accessPersistTimer);
+      this.accessPersistTimer = null;
+    }
+    if (!this.dirty || !this.config.manifestPath) {
+      return null;
+    }
+
+    // Callers arriving before the write starts share it; it serializes the state as of its start
+    if (!this.pendingFlush) {
+      this.pendingFlush = this.persistQueue.then(async () => {
+        this.pendingFlush = null;
+        this.dirty = false;
+        try {
+          return await this.snapshot(this.config.manifestPath);
+        } catch (error) {
+          this.dirty = true;
+          throw error;
+        }
+      });
+    }
+    return this.pendingFlush;
+  }
+
+  /**
+   * Replace the in-memory L0 state with a previously written snapshot
+   * The restored state becomes the current manifest
+   */
+  async restore(sourcePath) {
+    if (!sourcePath) {
+      throw new Error('restore() requires a snapshot path.');
+    }
+
+    const resolvedPath = path.resolve(sourcePath);
+    const manifest = this.parseManifest(await fs.readFile(resolvedPath, 'utf8'), resolvedPath);
+
+    this.applyManifest(manifest);
+    this.calculateMetrics();
+    await this.persist();
+
+    this.logger.info(`L0 restored from ${resolvedPath} (${this.lightweightReferences.size} references)`);
+    this.emit('l0:restored', { path: resolvedPath, references: this.lightweightReferences.size });
+    return {
+      success: true,
+      path: resolvedPath,
+      referencesLoaded: this.lightweightReferences.size,
+      savedAt: manifest.savedAt
+    };
+  }
+
   // Private helper methods
 
   async loadLightweightReferences() {
-    // In a real implementation, this would load from persistent storage
-    // For now, initialize with empty state
-    console.log('📚 Loading existing lightweight references...');
-    
-    // Simulate loading some references for demonstration
-    const sampleReferences = [
-      {
-        entityName: 'Cortex_Access_Protocol_v3_0',
-        fileReference: 'cortex/entities/cortex_access_protocol_v3_0.json',
-        summary: 'Revolutionary AGI Memory Bootstrap Protocol',
-        priority: 'critical',
-        size: '2.1KB',
-        evidenceQuality: 'T1'
+    if (!this.config.manifestPath) {
+      this.logger.info('Manifest persistence disabled, starting with empty L0');
+      return;
+    }
+
+    const manifestPath = path.resolve(this.config.manifestPath);
+    this.logger.info(`Loading lightweight references from ${manifestPath}...`);
+
+    let content;
+    try {
+      content = await fs.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info('No L0 manifest found, starting with empty L0');
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      this.applyManifest(this.parseManifest(content, manifestPath));
+    } catch (error) {
+      if (error.code !== 'ECORRUPT' || !this.config.autoRecoverL0) {
+        throw error;
+      }
+
+      // Keep the damaged manifest for inspection; L0 is then rebuilt from L1
+      const backupPath = `${manifestPath}.corrupt-${Date.now()}`;
+      await fs.rename(manifestPath, backupPath);
+      this.recoveredFrom = { error: error.message, backupPath };
+      this.logger.error(`${error.message}; moved it to ${backupPath} and starting with empty L0`, { backupPath });
+      this.emit('l0:corrupt', { path: manifestPath, backupPath, error });
+    }
+  }
+
+  async persist() {
+    if (!this.config.manifestPath) {
+      return;
+    }
+    this.dirty = true;
+    if (this.batchDepth === 0) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Persist access history some time after it changed, not on every read
+   */
+  schedulePersist() {
+    if (!this.config.manifestPath || this.accessPersistTimer) {
+      return;
+    }
+    this.dirty = true;
+    this.accessPersistTimer = setTimeout(() => {
+      this.accessPersistTimer = null;
+      this.flush().catch(error => this.logger.error('Failed to persist L0 access history', { error }));
+    }, this.config.accessPersistDelay);
+    // A pending write must not keep the process alive; close() flushes it
+    this.accessPersistTimer.unref();
+  }
+
+  serializeManifest() {
+    return {
+      format: MANIFEST_FORMAT,
+      version: MANIFEST_VERSION,
+      savedAt: new Date().toISOString(),
+      references: [...this.lightweightReferences.values()],
+      accessPatterns: [...this.accessPatterns.entries()].map(([entityName, pattern]) => ({ entityName, ...pattern }))
+    };
+  }
+
+  parseManifest(content, source) {
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      throw Object.assign(new Error(`L0 manifest is not valid JSON: ${source}`), { code: 'ECORRUPT' });
+    }
+
+    if (!manifest || manifest.format !== MANIFEST_FORMAT) {
+      throw Object.assign(new Error(`Not an L0 manifest: ${source}`), { code: 'ECORRUPT' });
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > MANIFEST_VERSION) {
+      throw new Error(`Unsupported L0 manifest version ${manifest.version} in ${source} (supported: ${MANIFEST_VERSION})`);
+    }
+    if (!Array.isArray(manifest.references)) {
+      throw Object.assign(new Error(`L0 manifest has no references array: ${source}`), { code: 'ECORRUPT' });
+    }
+
+    return manifest;
+  }
+
+  applyManifest(manifest) {
+    this.lightweightReferences.clear();
+    this.accessPatterns.clear();
+
+    manifest.references.forEach(ref => {
+      if (ref && ref.entityName) {
+        this.lightweightReferences.set(ref.entityName, { ...ref });
+      }
+    });
+
+    (manifest.accessPatterns || []).forEach(({ entityName, ...pattern }) => {
+      if (entityName) {
+        this.accessPatterns.set(entityName, pattern);
       }
-    ];
-
-    sampleReferences.forEach(ref => {
-      this.lightweightReferences.set(ref.entityName, {
-        ...ref,
-        createdAt: new Date().toISOString(),
-        lastAccessed: new Date().toISOString(),
-        accessCount: 0
-      });
     });
   }
 
   initializeAccessPatterns() {
-    console.log('📊 Initializing access pattern tracking...');
-    // Initialize access pattern tracking system
+    this.logger.debug('Initializing access pattern tracking...');
+
+    // Co-access sequences only make sense within one session
+    this.lastAccess = null;
+
+    // Normalize loaded patterns and drop followers that no longer have a reference
+    for (const pattern of this.accessPatterns.values()) {
+      pattern.followers = Object.fromEntries(
+        Object.entries(pattern.followers || {})
+          .filter(([follower]) => this.lightweightReferences.has(follower))
+      );
+    }
   }
 
   recordAccess(entityName) {
+    const now = Date.now();
     const current = this.accessPatterns.get(entityName) || { count: 0, lastAccess: null };
     this.accessPatterns.set(entityName, {
       count: current.count + 1,
-      lastAccess: new Date().toISOString(),
-      frequency: this.calculateAccessFrequency(current)
+      lastAccess: new Date(now).toISOString(),
+      frequency: this.calculateAccessFrequency(current),
+      followers: current.followers || {}
     });
+
+    // Learn "B is fetched right after A" sequences for predictive prefetching
+    const previous = this.lastAccess;
+    if (previous && previous.entityName !== entityName && now - previous.at <= this.config.coAccessWindow) {
+      const previousPattern = this.accessPatterns.get(previous.entityName);
+      if (previousPattern) {
+        previousPattern.followers = this.recordFollower(previousPattern.followers || {}, entityName);
+      }
+    }
+    this.lastAccess = { entityName, at: now };
     
     this.metrics.accessCount++;
+    this.schedulePersist();
+  }
+
+  recordFollower(followers, entityName) {
+    const updated = { ...followers, [entityName]: (followers[entityName] || 0) + 1 };
+
+    // Keep only the strongest followers so access patterns stay small in L0
+    return Object.fromEntries(
+      Object.entries(updated)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.config.maxFollowers)
+    );
   }
 
-  generateSummary(fullEntity) {
+  buildReference(entityName, fullEntity, fileReference, existing) {
+    // Refreshing an existing reference keeps its creation time and access history
+    return {
+      entityName,
+      fileReference,
+      entityType: fullEntity.entityType,
+      tags: Array.isArray(fullEntity.tags) ? fullEntity.tags : [],
+      summary: this.generateSummary(fullEntity),
+      priority: this.calculatePriority(fullEntity),
+      size: this.calculateSize(fullEntity),
+      evidenceQuality: this.extractEvidenceQuality(fullEntity),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      lastAccessed: existing ? existing.lastAccessed : new Date().toISOString(),
+      accessCount: existing ? existing.accessCount || 0 : 0,
+      transferredAt: new Date().toISOString()
+    };
+  }
+
+  generateSummary(fullEntity, options = {}) {
     // Extract key information for lightweight reference
-    if (fullEntity.observations && fullEntity.observations.length > 0) {
+    const redact = options.redact === undefined ? this.config.redactSummaries : options.redact;
+    if (!redact && fullEntity.observations && fullEntity.observations.length > 0) {
       const firstObs = fullEntity.observations[0];
       return firstObs.substring(0, 100) + (firstObs.length > 100 ? '...' : '');
     }
     return `${fullEntity.entityType} entity`;
   }
 
+  compactSummary(summary) {
+    return summary.length > COMPACT_SUMMARY_LENGTH ? summary.substring(0, COMPACT_SUMMARY_LENGTH) + '...' : summary;
+  }
+
   calculatePriority(fullEntity) {
     // Determine priority based on entity characteristics
     if (fullEntity.entityType === 'System_Bootstrap_Protocol') return 'critical';
@@ -220,7 +702,9 @@ class L0Bootstrap {
   }
 
   calculateSize(fullEntity) {
-    const sizeBytes = JSON.stringify(fullEntity).length;
+    // Storage stamps (metadata, schemaVersion) are not part of the knowledge content
+    const { metadata, schemaVersion, ...content } = fullEntity;
+    const sizeBytes = JSON.stringify(content).length;
     if (sizeBytes > 1024) {
       return `${Math.round(sizeBytes / 1024 * 10) / 10}KB`;
     }
@@ -253,11 +737,43 @@ class L0Bootstrap {
 
   calculateMetrics() {
     // Calculate memory reduction and compression metrics
+    // against the full entities, as measured when each reference was built
     const currentSize = this.getSize();
-    const estimatedFullSize = this.lightweightReferences.size * 5000; // Estimate 5KB per full entity
+    const fullSize = [...this.lightweightReferences.values()]
+      .reduce((total, ref) => total + this.referencedBytes(ref), 0);
+
+    if (fullSize === 0) {
+      this.metrics.memoryReduction = 0;
+      this.metrics.compressionRatio = 0;
+      return;
+    }
     
-    this.metrics.memoryReduction = Math.round((1 - currentSize.totalBytes / estimatedFullSize) * 100);
-    this.metrics.compressionRatio = Math.round(estimatedFullSize / currentSize.totalBytes * 10) / 10;
+    this.metrics.memoryReduction = Math.round((1 - currentSize.totalBytes / fullSize) * 100);
+    this.metrics.compressionRatio = Math.round(fullSize / currentSize.totalBytes * 10) / 10;
+  }
+
+  referencedBytes(ref) {
+    // References from older manifests may carry no (or an unparseable) size
+    try {
+      return ref.size ? parseSize(ref.size) : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  compareRetention(a, b) {
+    return ((PRIORITY_RANK[a.priority] || 0) - (PRIORITY_RANK[b.priority] || 0)) ||
+      ((a.accessCount || 0) - (b.accessCount || 0)) ||
+      ((EVIDENCE_RANK[a.evidenceQuality] || 0) - (EVIDENCE_RANK[b.evidenceQuality] || 0)) ||
+      String(a.lastAccessed || '').localeCompare(String(b.lastAccessed || ''));
+  }
+
+  estimateEntryBytes(entityName) {
+    // Mirrors the per-entry share of getSize(): the serialized [key, value] pairs plus separators
+    const ref = this.lightweightReferences.get(entityName);
+    const pattern = this.accessPatterns.get(entityName);
+    return (ref ? JSON.stringify([entityName, ref]).length + 1 : 0) +
+      (pattern ? JSON.stringify([entityName, pattern]).length + 1 : 0);
   }
 
   getAccessPatternStats() {
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const L0Bootstrap = require('./L0Bootstrap');
+
+function manifestPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-l0-')), 'l0.json');
+}
+
+function entity(name) {
+  return { name, entityType: 'Note', observations: [`About ${name}`] };
+}
+
+test('references survive a restart through the manifest', async () => {
+  const file = manifestPath();
+  const l0 = new L0Bootstrap({ manifestPath: file, logLevel: 'silent' });
+  await l0.initialize();
+  await l0.createLightweightReference('A', entity('A'), 'cortex/entities/a.json');
+
+  const reopened = new L0Bootstrap({ manifestPath: file, logLevel: 'silent' });
+  await reopened.initialize();
+  assert.equal((await reopened.getLightweightReference('A')).fileReference, 'cortex/entities/a.json');
+});
+
+test('a batch writes the manifest once', async () => {
+  const l0 = new L0Bootstrap({ manifestPath: manifestPath(), logLevel: 'silent' });
+  await l0.initialize();
+  let writes = 0;
+  const snapshot = l0.snapshot.bind(l0);
+  l0.snapshot = target => { writes++; return snapshot(target); };
+
+  await l0.batch(async () => {
+    for (const name of ['A', 'B', 'C', 'D']) {
+      await l0.createLightweightReference(name, entity(name), `cortex/entities/${name}.json`);
+    }
+  });
+
+  assert.equal(writes, 1);
+  assert.equal(JSON.parse(fs.readFileSync(l0.config.manifestPath, 'utf8')).references.length, 4);
+});
+
+test('access history is persisted lazily and on flush', async () => {
+  const file = manifestPath();
+  const l0 = new L0Bootstrap({ manifestPath: file, accessPersistDelay: 60000, logLevel: 'silent' });
+  await l0.initialize();
+  await l0.createLightweightReference('A', entity('A'), 'cortex/entities/a.json');
+
+  await l0.getLightweightReference('A');
+  await l0.getLightweightReference('A');
+  const before = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(before.accessPatterns.length, 0);
+
+  await l0.flush();
+  const after = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(after.accessPatterns.find(pattern => pattern.entityName === 'A').count, 2);
+});
+
+test('removing a reference also drops it from co-access followers', async () => {
+  const l0 = new L0Bootstrap({ manifestPath: null, logLevel: 'silent' });
+  await l0.initialize();
+  await l0.createLightweightReference('A', entity('A'), 'a.json');
+  await l0.createLightweightReference('B', entity('B'), 'b.json');
+  await l0.getLightweightReference('A');
+  await l0.getLightweightReference('B');
+  assert.deepEqual(l0.getCoAccessPredictions('A').map(prediction => prediction.entityName), ['B']);
+
+  await l0.removeLightweightReference('B');
+  assert.deepEqual(Object.keys(l0.accessPatterns.get('A').followers), []);
+});
+
+test('the budget demotes the least valuable references and keeps critical ones', async () => {
+  const l0 = new L0Bootstrap({ manifestPath: null, l0MaxSize: 2500, logLevel: 'silent' });
+  await l0.initialize();
+  await l0.createLightweightReference('Boot', { name: 'Boot', entityType: 'System_Bootstrap_Protocol', observations: ['x'] }, 'boot.json');
+  for (let i = 0; i < 12; i++) {
+    await l0.createLightweightReference(`N${i}`, entity(`N${i}`), `n${i}.json`);
+  }
+
+  const report = l0.lastBudgetReport;
+  assert.ok(report.demoted.length > 0);
+  assert.ok(l0.getSize().totalBytes <= 2500);
+  assert.ok(l0.lightweightReferences.has('Boot'));
+  assert.ok(l0.lightweightReferences.has('N11'), 'the reference being written is protected');
+});
+
+test('lookups of unknown names do not cost budget or push out references', async () => {
+  const l0 = new L0Bootstrap({ manifestPath: null, l0MaxSize: '6KB', logLevel: 'silent' });
+  await l0.initialize();
+  for (let i = 0; i < 5; i++) {
+    await l0.createLightweightReference(`E${i}`, entity(`E${i}`), `e${i}.json`);
+  }
+  for (let i = 0; i < 100; i++) {
+    assert.equal(await l0.getLightweightReference(`Missing_${i}`), null);
+  }
+  assert.equal(l0.accessPatterns.size, 0);
+
+  // History left without a reference (e.g. by an older manifest) is dropped before any reference
+  for (let i = 0; i < 100; i++) {
+    l0.accessPatterns.set(`Stale_${i}`, { count: 1, lastAccess: null, followers: {} });
+  }
+  await l0.createLightweightReference('E5', entity('E5'), 'e5.json');
+
+  assert.deepEqual([...l0.lightweightReferences.keys()].sort(), ['E0', 'E1', 'E2', 'E3', 'E4', 'E5']);
+  assert.deepEqual(l0.lastBudgetReport.demoted, []);
+});
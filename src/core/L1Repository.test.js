@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const L1Repository = require('./L1Repository');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-l1-'));
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' });
+}
+
+test('stores entities as JSON files and commits every write', async () => {
+  const localPath = tempDir();
+  const repository = new L1Repository({ localPath });
+  await repository.connect();
+
+  const { fileReference, commit } = await repository.storeEntity('Jane Alesi', {
+    name: 'Jane Alesi', entityType: 'Person', observations: ['writes code']
+  });
+
+  assert.equal(fileReference, 'cortex/entities/jane_alesi.json');
+  assert.equal(git(localPath, 'rev-parse', 'HEAD').trim(), commit);
+  assert.equal(git(localPath, 'log', '--format=%s').trim(), 'Add entity Jane Alesi');
+  assert.ok(fs.existsSync(path.join(localPath, fileReference)));
+  assert.deepEqual((await repository.getEntity(fileReference)).observations, ['writes code']);
+});
+
+test('a store inside another repository gets its own repository', async () => {
+  const host = tempDir();
+  git(host, 'init', '--quiet');
+  git(host, '-c', 'user.name=Host', '-c', 'user.email=host@localhost', 'commit', '--quiet', '--allow-empty', '-m', 'Host commit');
+
+  const repository = new L1Repository({ localPath: path.join(host, 'store') });
+  await repository.connect();
+  await repository.storeEntity('X', { name: 'X', entityType: 'Thing', observations: [] }, { message: 'Create entity X' });
+
+  assert.equal(git(host, 'log', '--format=%s').trim(), 'Host commit');
+  assert.equal(git(path.join(host, 'store'), 'log', '--format=%s').trim(), 'Create entity X');
+});
+
+test('time-travel reads work for a store nested in a host repository', async () => {
+  const host = tempDir();
+  git(host, 'init', '--quiet');
+  const repository = new L1Repository({ localPath: path.join(host, 'store') });
+  await repository.connect();
+
+  const { fileReference } = await repository.storeEntity('X', { name: 'X', entityType: 'Note', observations: ['first'] });
+  await repository.storeEntity('X', { name: 'X', entityType: 'Note', observations: ['second'] });
+  const versions = await repository.listVersions(fileReference);
+
+  assert.equal(versions.length, 2);
+  assert.deepEqual((await repository.getEntityAt(fileReference, versions[1].commit)).observations, ['first']);
+  assert.deepEqual((await repository.getEntityAt(fileReference, versions[0].commit)).observations, ['second']);
+});
+
+test('strict schemas validate the same shape on write and on read', async () => {
+  const localPath = tempDir();
+  const repository = new L1Repository({ storage: 'filesystem', localPath });
+  await repository.connect();
+  await repository.registerSchema({
+    entityType: 'Person',
+    version: 2,
+    schema: {
+      additionalProperties: false,
+      properties: { name: {}, entityType: {}, observations: {}, metadata: { additionalProperties: false } }
+    }
+  }, { persist: true });
+  const { fileReference } = await repository.storeEntity('Ada', { name: 'Ada', entityType: 'Person', observations: ['mathematician'] });
+
+  const reopened = new L1Repository({ storage: 'filesystem', localPath });
+  await reopened.connect();
+  const stored = await reopened.getEntity(fileReference);
+  assert.equal(stored.schemaVersion, 2);
+  assert.ok(stored.metadata.storedAt);
+
+  await reopened.storeEntity('Ada', { ...stored, observations: ['mathematician', 'writer'] });
+  assert.deepEqual((await reopened.getEntity(fileReference)).observations, ['mathematician', 'writer']);
+  await assert.rejects(reopened.storeEntity('Bob', { name: 'Bob', entityType: 'Person', observations: [], age: 3 }),
+    /failed schema validation/);
+});
+
+test('garbage collection does not delete blobs a concurrent write reuses', async () => {
+  const repository = new L1Repository({ storage: 'memory', deduplication: true });
+  await repository.connect();
+  const { fileReference } = await repository.storeEntity('A', { name: 'A', entityType: 'Note', observations: ['shared'] });
+  await repository.deleteEntity(fileReference);
+
+  const [collected, stored] = await Promise.all([
+    repository.collectGarbage(),
+    repository.storeEntity('B', { name: 'B', entityType: 'Note', observations: ['shared'] })
+  ]);
+  assert.equal(collected.removed.length, 1);
+
+  repository.entityCache.clear();
+  repository.observationStore.textCache.clear();
+  assert.deepEqual((await repository.getEntity(stored.fileReference)).observations, ['shared']);
+});
@@ -0,0 +1,219 @@
+/**
+ * RelationGraph - Typed, directed relations between entities
+ * Revolutionary AGI Memory Management System - Relationship Mappings
+ *
+ * Relations are `{ from, to, relationType }` records, unique per triple.
+ * The graph keeps outgoing and incoming adjacency for cheap traversal in
+ * both directions.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const DIRECTIONS = ['out', 'in', 'both'];
+
+class RelationGraph {
+  constructor() {
+    this.relations = new Map();
+    this.outgoing = new Map();
+    this.incoming = new Map();
+  }
+
+  /**
+   * Add a relation. Returns false if the same triple already exists.
+   */
+  add(relation) {
+    const { from, to, relationType } = RelationGraph.validate(relation);
+    const key = RelationGraph.key(from, to, relationType);
+
+    if (this.relations.has(key)) {
+      return false;
+    }
+
+    this.relations.set(key, {
+      from,
+      to,
+      relationType,
+      createdAt: relation.createdAt || new Date().toISOString()
+    });
+    this.index(this.outgoing, from, key);
+    this.index(this.incoming, to, key);
+    return true;
+  }
+
+  /**
+   * Remove a relation. Returns false if it did not exist.
+   */
+  remove(from, to, relationType) {
+    const key = RelationGraph.key(from, to, relationType);
+    if (!this.relations.delete(key)) {
+      return false;
+    }
+
+    this.unindex(this.outgoing, from, key);
+    this.unindex(this.incoming, to, key);
+    return true;
+  }
+
+  /**
+   * Remove every relation touching an entity. Returns the removed relations.
+   */
+  removeEntity(entityName) {
+    const removed = this.getRelations(entityName, { direction: 'both' });
+    removed.forEach(({ from, to, relationType }) => this.remove(from, to, relationType));
+    return removed;
+  }
+
+  /**
+   * Relations attached to an entity
+   * Options: direction ('out' | 'in' | 'both'), type (relationType filter)
+   */
+  getRelations(entityName, options = {}) {
+    const direction = RelationGraph.direction(options.direction);
+    const keys = new Set();
+
+    if (direction !== 'in') (this.outgoing.get(entityName) || []).forEach(key => keys.add(key));
+    if (direction !== 'out') (this.incoming.get(entityName) || []).forEach(key => keys.add(key));
+
+    return [...keys]
+      .map(key => this.relations.get(key))
+      .filter(relation => !options.type || relation.relationType === options.type);
+  }
+
+  /**
+   * Breadth-first traversal up to `depth` hops
+   * Returns [{ entityName, depth, via }] where `via` is the relation that reached it
+   * `options.filter(entityName)` returning false hides an entity and everything reachable only through it
+   */
+  traverse(entityName, options = {}) {
+    const maxDepth = options.depth === undefined ? 1 : options.depth;
+    const visited = new Set([entityName]);
+    const found = [];
+    let frontier = [entityName];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const relation of this.getRelations(current, options)) {
+          const neighbor = relation.from === current ? relation.to : relation.from;
+          if (visited.has(neighbor) || !RelationGraph.accepts(options, neighbor)) continue;
+
+          visited.add(neighbor);
+          found.push({ entityName: neighbor, depth, via: relation });
+          next.push(neighbor);
+        }
+      }
+      frontier = next;
+    }
+
+    return found;
+  }
+
+  /**
+   * Shortest path (fewest hops) between two entities, or null if unreachable
+   * Options: direction, type, maxDepth, filter (as for traverse)
+   */
+  shortestPath(from, to, options = {}) {
+    if (from === to) {
+      return { path: [from], relations: [], length: 0 };
+    }
+
+    const maxDepth = options.maxDepth || Infinity;
+    const previous = new Map([[from, null]]);
+    let frontier = [from];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const relation of this.getRelations(current, options)) {
+          const neighbor = relation.from === current ? relation.to : relation.from;
+          if (previous.has(neighbor) || !RelationGraph.accepts(options, neighbor)) continue;
+
+          previous.set(neighbor, { node: current, relation });
+          if (neighbor === to) {
+            return this.buildPath(previous, to);
+          }
+          next.push(neighbor);
+        }
+      }
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  toJSON() {
+    return [...this.relations.values()];
+  }
+
+  load(relations = []) {
+    this.relations.clear();
+    this.outgoing.clear();
+    this.incoming.clear();
+    relations.forEach(relation => this.add(relation));
+  }
+
+  get size() {
+    return this.relations.size;
+  }
+
+  // Private helper methods
+
+  buildPath(previous, target) {
+    const path = [target];
+    const relations = [];
+    let step = previous.get(target);
+
+    while (step) {
+      path.unshift(step.node);
+      relations.unshift(step.relation);
+      step = previous.get(step.node);
+    }
+
+    return { path, relations, length: relations.length };
+  }
+
+  index(adjacency, entityName, key) {
+    if (!adjacency.has(entityName)) {
+      adjacency.set(entityName, new Set());
+    }
+    adjacency.get(entityName).add(key);
+  }
+
+  unindex(adjacency, entityName, key) {
+    const keys = adjacency.get(entityName);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) adjacency.delete(entityName);
+  }
+
+  static validate(relation) {
+    if (!relation) {
+      throw new Error('Relation is required');
+    }
+    for (const field of ['from', 'to', 'relationType']) {
+      if (typeof relation[field] !== 'string' || !relation[field]) {
+        throw new Error(`Relation must have a valid ${field}`);
+      }
+    }
+    return relation;
+  }
+
+  static direction(direction = 'out') {
+    if (!DIRECTIONS.includes(direction)) {
+      throw new Error(`Invalid direction '${direction}'. Use one of: ${DIRECTIONS.join(', ')}`);
+    }
+    return direction;
+  }
+
+  static accepts(options, entityName) {
+    return typeof options.filter !== 'function' || options.filter(entityName);
+  }
+
+  static key(from, to, relationType) {
+    return `${from}\u0000${relationType}\u0000${to}`;
+  }
+}
+
+module.exports = RelationGraph;
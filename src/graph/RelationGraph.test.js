@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RelationGraph = require('./RelationGraph');
+
+function graphOf(relations) {
+  const graph = new RelationGraph();
+  relations.forEach(([from, to, relationType]) => graph.add({ from, to, relationType }));
+  return graph;
+}
+
+test('adds each typed relation once and removes an entity\'s relations', () => {
+  const graph = graphOf([['A', 'B', 'knows'], ['B', 'C', 'knows'], ['A', 'C', 'works_with']]);
+  assert.equal(graph.add({ from: 'A', to: 'B', relationType: 'knows' }), false);
+  assert.equal(graph.size, 3);
+
+  assert.equal(graph.removeEntity('B').length, 2);
+  assert.deepEqual(graph.toJSON().map(({ from, to }) => `${from}->${to}`), ['A->C']);
+});
+
+test('traverses by depth and direction and finds shortest paths', () => {
+  const graph = graphOf([['A', 'B', 'knows'], ['B', 'C', 'knows'], ['C', 'D', 'knows'], ['A', 'D', 'blocks']]);
+
+  assert.deepEqual(graph.traverse('A', { depth: 2, type: 'knows' }).map(found => found.entityName), ['B', 'C']);
+  assert.deepEqual(graph.traverse('C', { direction: 'in' }).map(found => found.entityName), ['B']);
+  assert.deepEqual(graph.shortestPath('A', 'D', { type: 'knows' }).path, ['A', 'B', 'C', 'D']);
+  assert.equal(graph.shortestPath('D', 'A'), null);
+});
+
+test('rejects malformed relations', () => {
+  assert.throws(() => new RelationGraph().add({ from: 'A', relationType: 'knows' }));
+});
@@ -0,0 +1,117 @@
+/**
+ * McpGraphFormat - Model Context Protocol memory-server knowledge-graph JSONL
+ *
+ * One JSON record per line:
+ *   {"type":"entity","name":"...","entityType":"...","observations":["..."]}
+ *   {"type":"relation","from":"...","to":"...","relationType":"..."}
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+
+/**
+ * Parse one JSONL line into { type: 'entity', entity } or { type: 'relation', relation }
+ */
+function parseRecord(line) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (record && record.type === 'entity') {
+    if (typeof record.name !== 'string' || !record.name) {
+      throw new Error('Entity record must have a name');
+    }
+    if (typeof record.entityType !== 'string' || !record.entityType) {
+      throw new Error(`Entity record '${record.name}' must have an entityType`);
+    }
+    if (record.observations !== undefined && !Array.isArray(record.observations)) {
+      throw new Error(`Entity record '${record.name}' observations must be an array`);
+    }
+
+    return {
+      type: 'entity',
+      entity: {
+        name: record.name,
+        entityType: record.entityType,
+        observations: (record.observations || []).map(String)
+      }
+    };
+  }
+
+  if (record && record.type === 'relation') {
+    for (const field of ['from', 'to', 'relationType']) {
+      if (typeof record[field] !== 'string' || !record[field]) {
+        throw new Error(`Relation record must have a ${field}`);
+      }
+    }
+
+    return {
+      type: 'relation',
+      relation: { from: record.from, to: record.to, relationType: record.relationType }
+    };
+  }
+
+  throw new Error(`Unknown record type '${record && record.type}'`);
+}
+
+function serializeEntity(entity) {
+  return JSON.stringify({
+    type: 'entity',
+    name: entity.name,
+    entityType: entity.entityType,
+    observations: entity.observations || []
+  });
+}
+
+function serializeRelation(relation) {
+  return JSON.stringify({
+    type: 'relation',
+    from: relation.from,
+    to: relation.to,
+    relationType: relation.relationType
+  });
+}
+
+/**
+ * Iterate non-empty lines of a file path or readable stream as { line, lineNumber }
+ */
+async function* readLines(fileOrStream) {
+  const input = typeof fileOrStream === 'string'
+    ? fs.createReadStream(fileOrStream, { encoding: 'utf8' })
+    : fileOrStream;
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim()) {
+      yield { line, lineNumber };
+    }
+  }
+}
+
+/**
+ * Write one line to a stream, waiting for 'drain' when its buffer is full
+ */
+async function writeLine(stream, line) {
+  if (!stream.write(`${line}\n`)) {
+    await once(stream, 'drain');
+  }
+}
+
+module.exports = {
+  parseRecord,
+  serializeEntity,
+  serializeRelation,
+  readLines,
+  writeLine
+};
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const CortexManager = require('../core/CortexManager');
+
+function jsonl(records) {
+  return Readable.from([records.map(record => JSON.stringify(record)).join('\n')]);
+}
+
+async function gitCortex() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-mcp-'));
+  const cortex = new CortexManager({
+    storage: 'git',
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: null,
+    logLevel: 'silent'
+  });
+  await cortex.initialize();
+  return cortex;
+}
+
+test('imports entities in batches of one commit and one manifest write each', async () => {
+  const cortex = await gitCortex();
+  let manifestWrites = 0;
+  const snapshot = cortex.l0Bootstrap.snapshot.bind(cortex.l0Bootstrap);
+  cortex.l0Bootstrap.snapshot = target => { manifestWrites++; return snapshot(target); };
+
+  const records = ['A', 'B', 'C', 'D', 'E'].map(name => ({ type: 'entity', name, entityType: 'Note', observations: [name] }));
+  records.push({ type: 'relation', from: 'A', to: 'E', relationType: 'knows' });
+  records.push({ type: 'relation', from: 'A', to: 'Missing', relationType: 'knows' });
+  const report = await cortex.importGraph(jsonl(records), { batchSize: 2 });
+
+  assert.equal(report.created, 6);
+  assert.equal(report.failed, 1);
+  assert.equal(report.batches, 3);
+  const messages = (await cortex.l1Repository.storage.history('cortex/entities/a.json')).map(entry => entry.message);
+  assert.deepEqual(messages, ['Import batch 1 (2 entities)']);
+  assert.ok(manifestWrites <= 4, `expected one manifest write per batch plus the final one, got ${manifestWrites}`);
+  assert.deepEqual(cortex.relationGraph.getRelations('A').map(relation => relation.to), ['E']);
+});
+
+test('batches that stage nothing do not commit', async () => {
+  const cortex = await gitCortex();
+  const record = { type: 'entity', name: 'A', entityType: 'Note', observations: ['a'] };
+  const committed = [];
+  const commitPending = cortex.l1Repository.storage.commitPending.bind(cortex.l1Repository.storage);
+  cortex.l1Repository.storage.commitPending = message => { committed.push(message); return commitPending(message); };
+
+  const report = await cortex.importGraph(jsonl([record, record]), { batchSize: 1, onConflict: 'skip' });
+  assert.equal(report.created, 1);
+  assert.equal(report.skipped, 1);
+  assert.deepEqual(committed, ['Import batch 1 (1 entities)']);
+});
+
+test('exports what it imports', async () => {
+  const cortex = await gitCortex();
+  await cortex.importGraph(jsonl([
+    { type: 'entity', name: 'A', entityType: 'Note', observations: ['a'] },
+    { type: 'entity', name: 'B', entityType: 'Note', observations: ['b'] },
+    { type: 'relation', from: 'A', to: 'B', relationType: 'knows' }
+  ]));
+
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const result = await cortex.exportGraph(stream);
+  stream.end();
+
+  assert.deepEqual(result, { success: true, entities: 2, relations: 1, failed: 0, failures: [] });
+  const lines = Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.type), ['entity', 'entity', 'relation']);
+});
+
+test('export skips unreadable entity files, reports them and keeps going', async () => {
+  const cortex = await gitCortex();
+  await cortex.importGraph(jsonl(['A', 'B', 'C'].map(name => ({ type: 'entity', name, entityType: 'Note', observations: [name] }))));
+  await cortex.l1Repository.storage.write('cortex/entities/b.json', 'not json');
+  cortex.l1Repository.invalidate('cortex/entities/b.json');
+
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const result = await cortex.exportGraph(stream);
+  stream.end();
+
+  assert.equal(result.success, false);
+  assert.equal(result.entities, 2);
+  assert.deepEqual(result.failures.map(failure => failure.fileReference), ['cortex/entities/b.json']);
+  const names = Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line).name);
+  assert.deepEqual(names, ['A', 'C']);
+});
@@ -0,0 +1,102 @@
+/**
+ * SubjectMatcher - Decide which entities and observations refer to a data subject
+ * Revolutionary AGI Memory Management System - Data Subject Rights
+ *
+ * A matcher is a string, a RegExp, a function `(text) => boolean`, or an array of
+ * these (e.g. a name and its aliases). Strings match case-insensitively as whole
+ * words, with underscores, hyphens and whitespace treated alike, so 'Jane Doe'
+ * matches the entity name 'Jane_Doe' and the observation 'Met jane-doe today', and
+ * 'Jane' does not match 'Janet'. With `{ substring: true }` strings match anywhere.
+ *
+ * An entity whose name matches is about the subject and is erased as a whole; in
+ * other entities only the matching observations are.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const { hmacSha256 } = require('../utils/hash');
+
+class SubjectMatcher {
+  constructor(matcher, options = {}) {
+    const substring = Boolean(options.substring);
+    const parts = [].concat(matcher);
+    if (parts.length === 0 || parts.some(part => !SubjectMatcher.isValidPart(part))) {
+      throw new Error('Subject matcher must be a non-empty string, a RegExp, a function, or an array of these');
+    }
+
+    this.tests = parts.map(part => {
+      if (typeof part === 'function') return text => Boolean(part(text));
+      if (part instanceof RegExp) {
+        // A global regex keeps state between test() calls; match with a stateless copy
+        const pattern = new RegExp(part.source, part.flags.replace('g', '').replace('y', ''));
+        return text => pattern.test(text);
+      }
+      const needle = SubjectMatcher.normalize(part);
+      if (substring) {
+        return text => SubjectMatcher.normalize(text).includes(needle);
+      }
+      const pattern = SubjectMatcher.wordPattern(needle);
+      return text => pattern.test(SubjectMatcher.normalize(text));
+    });
+
+    this.identity = parts.map(part => (typeof part === 'string'
+      ? `${substring ? 'substring' : 's'}:${SubjectMatcher.normalize(part)}`
+      : part instanceof RegExp ? `r:${part.source}/${part.flags}` : `f:${part.toString()}`)).sort().join('\n');
+  }
+
+  /**
+   * Identifies the subject in reports without repeating the personal data itself
+   * Keyed with `secret`: a plain hash of a name is reversed by hashing guesses. Null without one.
+   */
+  digest(secret) {
+    return secret ? hmacSha256(secret, this.identity) : null;
+  }
+
+  /**
+   * Accept an existing SubjectMatcher or build one with `options`
+   */
+  static from(matcher, options = {}) {
+    return matcher instanceof SubjectMatcher ? matcher : new SubjectMatcher(matcher, options);
+  }
+
+  matchesText(text) {
+    const value = String(text);
+    return this.tests.some(test => test(value));
+  }
+
+  /**
+   * Whether the entity as a whole is about the subject (its name matches)
+   */
+  isSubjectEntity(entity) {
+    return Boolean(entity && typeof entity.name === 'string' && this.matchesText(entity.name));
+  }
+
+  matchingObservations(entity) {
+    return (entity && Array.isArray(entity.observations) ? entity.observations : [])
+      .filter(observation => this.matchesText(observation));
+  }
+
+  // Private helper methods
+
+  static isValidPart(part) {
+    return (typeof part === 'string' && SubjectMatcher.normalize(part).length > 0) ||
+      part instanceof RegExp ||
+      typeof part === 'function';
+  }
+
+  /**
+   * The normalized needle, not preceded or followed by a letter or digit
+   */
+  static wordPattern(needle) {
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u');
+  }
+
+  static normalize(text) {
+    return String(text).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+  }
+}
+
+module.exports = SubjectMatcher;
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SubjectMatcher = require('./SubjectMatcher');
+
+test('strings match whole words, ignoring case and separators', () => {
+  const subject = new SubjectMatcher('Jane Doe');
+  assert.equal(subject.matchesText('Jane_Doe'), true);
+  assert.equal(subject.matchesText('Met jane-doe today'), true);
+  assert.equal(subject.matchesText("Jane Doe's notes"), true);
+  assert.equal(subject.matchesText('Jane Doelle'), false);
+
+  const first = new SubjectMatcher('Jane');
+  assert.equal(first.matchesText('Jane_Smith'), true);
+  assert.equal(first.matchesText('Janet'), false);
+  assert.equal(first.matchesText('MaryJane'), false);
+  assert.equal(new SubjectMatcher('Zoë').matchesText('Zoëy'), false);
+});
+
+test('substring matching is opt-in and changes the subject identity', () => {
+  const words = new SubjectMatcher('Jane');
+  const substring = new SubjectMatcher('Jane', { substring: true });
+  assert.equal(substring.matchesText('Janet'), true);
+  assert.notEqual(substring.digest('secret'), words.digest('secret'));
+  assert.equal(SubjectMatcher.from('Jane', { substring: true }).matchesText('MaryJane'), true);
+});
+
+test('regular expressions and functions are used as given', () => {
+  const subject = new SubjectMatcher([/j\.? ?doe/gi, text => text.includes('#42')]);
+  assert.equal(subject.matchesText('J. Doe'), true);
+  assert.equal(subject.matchesText('J. Doe'), true);
+  assert.equal(subject.matchesText('ticket #42'), true);
+  assert.equal(subject.matchesText('John'), false);
+});
@@ -0,0 +1,100 @@
+/**
+ * Signing and verification of erasure reports
+ * Revolutionary AGI Memory Management System - Data Subject Rights
+ *
+ * A report is signed over its canonical JSON without the `signature` field, so
+ * anyone holding the public key can check that it was not altered after the erasure.
+ * Ed25519/Ed448 keys sign the data directly; RSA and EC keys use SHA-256.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { canonicalJson, sha256 } = require('../utils/hash');
+
+/**
+ * Resolve `erasure.signingKey` (PEM or KeyObject) or `erasure.signingKeyFile` into a private key, or null
+ */
+async function loadSigningKey(erasure = {}) {
+  if (erasure.signingKey) {
+    return toPrivateKey(erasure.signingKey);
+  }
+  if (erasure.signingKeyFile) {
+    try {
+      return toPrivateKey(await fs.readFile(erasure.signingKeyFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load erasure signing key ${erasure.signingKeyFile}: ${error.message}`, { cause: error });
+    }
+  }
+  return null;
+}
+
+/**
+ * Return a copy of `report` with a `signature` of { algorithm, keyId, value }
+ */
+function signReport(report, privateKey) {
+  const key = toPrivateKey(privateKey);
+  const publicKey = crypto.createPublicKey(key);
+  const value = crypto.sign(digestAlgorithm(key), payloadOf(report), key);
+
+  return {
+    ...report,
+    signature: {
+      algorithm: key.asymmetricKeyType,
+      keyId: keyIdOf(publicKey),
+      value: value.toString('base64')
+    }
+  };
+}
+
+/**
+ * Whether the report's signature is valid for `publicKey` (PEM or KeyObject)
+ */
+function verifyReport(report, publicKey) {
+  if (!report || !report.signature || !report.signature.value) {
+    return false;
+  }
+  const key = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+  try {
+    return crypto.verify(digestAlgorithm(key), payloadOf(report), key, Buffer.from(report.signature.value, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Private helper methods
+
+function payloadOf(report) {
+  const { signature, ...content } = report;
+  return Buffer.from(canonicalJson(content), 'utf8');
+}
+
+function digestAlgorithm(key) {
+  return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+/**
+ * Fingerprint of the public key, so a verifier can tell which key to use
+ */
+function keyIdOf(publicKey) {
+  return sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+}
+
+function toPrivateKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    if (key.type !== 'private') {
+      throw new Error('Erasure reports must be signed with a private key');
+    }
+    return key;
+  }
+  return crypto.createPrivateKey(key);
+}
+
+module.exports = {
+  loadSigningKey,
+  signReport,
+  verifyReport
+};
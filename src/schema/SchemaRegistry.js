@@ -0,0 +1,247 @@
+/**
+ * SchemaRegistry - Declarative per-entityType schemas and versioned migrations
+ * Revolutionary AGI Memory Management System - Schema Validation
+ *
+ * Schemas use a JSON-Schema subset: type, enum, const, required, properties,
+ * additionalProperties, items, minLength, maxLength, pattern, minimum,
+ * maximum, minItems, maxItems, uniqueItems. The base schema applies to
+ * every entity; a registered entityType schema applies on top of it.
+ *
+ * Entities carry `schemaVersion` (absent means 1). On read, migrations
+ * registered for the entity's type upgrade it one version at a time.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const BASE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'entityType', 'observations'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    entityType: { type: 'string', minLength: 1 },
+    observations: { type: 'array' }
+  }
+};
+
+class SchemaValidationError extends Error {
+  constructor(errors, entityName) {
+    const details = errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    super(`Entity${entityName ? ` '${entityName}'` : ''} failed schema validation: ${details}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+    this.entityName = entityName;
+  }
+}
+
+class SchemaRegistry {
+  constructor() {
+    // entityType -> { version, schema }
+    this.schemas = new Map();
+    // entityType -> Map(fromVersion -> migrate(entity))
+    this.migrations = new Map();
+  }
+
+  /**
+   * Register (or replace) the schema for an entityType
+   * Definition: { entityType, version, schema }
+   */
+  register(definition) {
+    if (!definition || typeof definition.entityType !== 'string' || !definition.entityType) {
+      throw new Error('Schema definition must have an entityType');
+    }
+    if (!definition.schema || typeof definition.schema !== 'object') {
+      throw new Error(`Schema definition for '${definition.entityType}' must have a schema object`);
+    }
+
+    const version = definition.version || 1;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Schema version for '${definition.entityType}' must be a positive integer`);
+    }
+
+    this.schemas.set(definition.entityType, { version, schema: definition.schema });
+    return { entityType: definition.entityType, version };
+  }
+
+  /**
+   * Register a migration that upgrades `entityType` entities from `fromVersion` to `fromVersion + 1`
+   */
+  registerMigration(entityType, fromVersion, migrate) {
+    if (typeof migrate !== 'function') {
+      throw new Error('Migration must be a function');
+    }
+    if (!this.migrations.has(entityType)) {
+      this.migrations.set(entityType, new Map());
+    }
+    this.migrations.get(entityType).set(fromVersion, migrate);
+  }
+
+  has(entityType) {
+    return this.schemas.has(entityType);
+  }
+
+  currentVersion(entityType) {
+    const registered = this.schemas.get(entityType);
+    return registered ? registered.version : null;
+  }
+
+  /**
+   * Upgrade an entity to the current schema version of its type
+   * Returns the entity unchanged when no migration applies
+   */
+  migrate(entity) {
+    const target = this.currentVersion(entity.entityType);
+    const steps = this.migrations.get(entity.entityType);
+    if (!target || !steps) {
+      return entity;
+    }
+
+    let current = entity;
+    let version = current.schemaVersion || 1;
+    while (version < target && steps.has(version)) {
+      const migrated = steps.get(version)({ ...current });
+      if (!migrated || typeof migrated !== 'object') {
+        throw new Error(`Migration of '${entity.entityType}' from v${version} returned no entity`);
+      }
+      version++;
+      current = { ...migrated, schemaVersion: version };
+    }
+
+    return current;
+  }
+
+  /**
+   * Validate against the base schema and the entityType schema
+   * Returns [{ path, message }]; empty when valid
+   */
+  validate(entity) {
+    const errors = [];
+    this.check(entity, BASE_SCHEMA, '', errors);
+
+    const registered = entity && this.schemas.get(entity.entityType);
+    if (registered) {
+      this.check(entity, registered.schema, '', errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate and throw SchemaValidationError listing every failure
+   */
+  assertValid(entity) {
+    const errors = this.validate(entity);
+    if (errors.length > 0) {
+      throw new SchemaValidationError(errors, entity && entity.name);
+    }
+    return true;
+  }
+
+  list() {
+    return [...this.schemas.entries()].map(([entityType, { version }]) => ({
+      entityType,
+      version,
+      migrations: this.migrations.has(entityType) ? [...this.migrations.get(entityType).keys()] : []
+    }));
+  }
+
+  // Private helper methods
+
+  check(value, schema, path, errors) {
+    const at = path || '(root)';
+
+    if (schema.type && !SchemaRegistry.matchesType(value, schema.type)) {
+      errors.push({ path: at, message: `expected ${[].concat(schema.type).join(' or ')}, got ${SchemaRegistry.typeOf(value)}` });
+      return;
+    }
+    if (schema.enum && !schema.enum.some(option => SchemaRegistry.equal(option, value))) {
+      errors.push({ path: at, message: `must be one of ${JSON.stringify(schema.enum)}` });
+    }
+    if (schema.const !== undefined && !SchemaRegistry.equal(schema.const, value)) {
+      errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+      }
+      if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+        errors.push({ path: at, message: 'must not contain duplicate items' });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (SchemaRegistry.typeOf(value) === 'object') {
+      (schema.required || []).forEach(field => {
+        if (value[field] === undefined) {
+          errors.push({ path: SchemaRegistry.join(path, field), message: 'is required' });
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.keys(value).forEach(field => {
+        if (value[field] === undefined) return;
+
+        if (properties[field]) {
+          this.check(value[field], properties[field], SchemaRegistry.join(path, field), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: SchemaRegistry.join(path, field), message: 'is not allowed' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.check(value[field], schema.additionalProperties, SchemaRegistry.join(path, field), errors);
+        }
+      });
+    }
+  }
+
+  static join(path, field) {
+    return path ? `${path}.${field}` : field;
+  }
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  static matchesType(value, type) {
+    const actual = SchemaRegistry.typeOf(value);
+    return [].concat(type).some(expected =>
+      expected === actual || (expected === 'number' && actual === 'integer'));
+  }
+
+  static equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = SchemaRegistry;
+module.exports.SchemaValidationError = SchemaValidationError;
+module.exports.BASE_SCHEMA = BASE_SCHEMA;
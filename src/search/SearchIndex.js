@@ -0,0 +1,207 @@
+/**
+ * SearchIndex - Local inverted index with BM25 ranking
+ * Revolutionary AGI Memory Management System - Search Layer
+ *
+ * Indexes entity names, entityType and observation text. Each entity is one
+ * document; name and entityType terms are boosted over observation terms.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const FIELD_BOOSTS = { name: 3, entityType: 2, observations: 1 };
+const SNIPPET_LENGTH = 160;
+
+class SearchIndex {
+  constructor(config = {}) {
+    this.config = {
+      k1: config.k1 || 1.2,
+      b: config.b === undefined ? 0.75 : config.b,
+      ...config
+    };
+
+    // term -> Map(entityName -> weighted term frequency)
+    this.postings = new Map();
+    // entityName -> { length, terms, entityType, priority, evidenceQuality, observations }
+    this.documents = new Map();
+    this.totalLength = 0;
+    this.built = false;
+  }
+
+  /**
+   * Add or replace an entity in the index
+   * `reference` is the L0 lightweight reference used for filters and summaries
+   */
+  add(entity, reference = {}) {
+    this.remove(entity.name);
+
+    const termFrequencies = new Map();
+    let length = 0;
+
+    const indexField = (text, boost) => {
+      for (const term of SearchIndex.tokenize(text)) {
+        termFrequencies.set(term, (termFrequencies.get(term) || 0) + boost);
+        length += boost;
+      }
+    };
+
+    indexField(entity.name, FIELD_BOOSTS.name);
+    indexField(entity.entityType, FIELD_BOOSTS.entityType);
+    (entity.observations || []).forEach(obs => indexField(obs, FIELD_BOOSTS.observations));
+
+    termFrequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(entity.name, frequency);
+    });
+
+    this.documents.set(entity.name, {
+      length,
+      terms: [...termFrequencies.keys()],
+      entityType: entity.entityType,
+      tags: Array.isArray(entity.tags) ? entity.tags : [],
+      fileReference: reference.fileReference,
+      summary: reference.summary,
+      priority: reference.priority,
+      evidenceQuality: reference.evidenceQuality,
+      observations: (entity.observations || []).map(String)
+    });
+    this.totalLength += length;
+  }
+
+  /**
+   * Remove an entity from the index. Returns true if it was indexed.
+   */
+  remove(entityName) {
+    const document = this.documents.get(entityName);
+    if (!document) {
+      return false;
+    }
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(entityName);
+      if (posting.size === 0) this.postings.delete(term);
+    });
+
+    this.totalLength -= document.length;
+    this.documents.delete(entityName);
+    return true;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+    this.built = false;
+  }
+
+  /**
+   * Ranked search
+   * Options: limit, offset, filters { entityType, priority, evidenceQuality }
+   * (each a value or an array of accepted values)
+   */
+  search(query, options = {}) {
+    const limit = options.limit || 10;
+    const offset = options.offset || 0;
+    const filters = options.filters || {};
+    const queryTerms = [...new Set(SearchIndex.tokenize(query))];
+
+    if (queryTerms.length === 0 || this.documents.size === 0) {
+      return { total: 0, results: [] };
+    }
+
+    const scores = new Map();
+    const documentCount = this.documents.size;
+    const averageLength = this.totalLength / documentCount;
+    const { k1, b } = this.config;
+
+    queryTerms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      posting.forEach((frequency, entityName) => {
+        const document = this.documents.get(entityName);
+        const norm = frequency + k1 * (1 - b + b * document.length / averageLength);
+        scores.set(entityName, (scores.get(entityName) || 0) + idf * frequency * (k1 + 1) / norm);
+      });
+    });
+
+    const ranked = [...scores.entries()]
+      .filter(([entityName]) => this.matchesFilters(this.documents.get(entityName), filters))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    return {
+      total: ranked.length,
+      results: ranked.slice(offset, offset + limit).map(([entityName, score]) => {
+        const document = this.documents.get(entityName);
+        return {
+          entityName,
+          score: Math.round(score * 1000) / 1000,
+          entityType: document.entityType,
+          tags: document.tags,
+          fileReference: document.fileReference,
+          summary: document.summary,
+          priority: document.priority,
+          evidenceQuality: document.evidenceQuality,
+          snippets: this.buildSnippets(document, queryTerms)
+        };
+      })
+    };
+  }
+
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      averageLength: this.documents.size > 0 ? Math.round(this.totalLength / this.documents.size * 10) / 10 : 0,
+      built: this.built
+    };
+  }
+
+  /**
+   * Lowercased alphanumeric terms (Unicode aware), single characters dropped
+   */
+  static tokenize(text) {
+    if (!text) return [];
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu)?.filter(term => term.length > 1) || [];
+  }
+
+  // Private helper methods
+
+  matchesFilters(document, filters) {
+    return ['entityType', 'priority', 'evidenceQuality'].every(field => {
+      const accepted = filters[field];
+      if (accepted === undefined || accepted === null) return true;
+      return Array.isArray(accepted) ? accepted.includes(document[field]) : document[field] === accepted;
+    });
+  }
+
+  buildSnippets(document, queryTerms, maxSnippets = 2) {
+    const snippets = [];
+
+    for (const observation of document.observations) {
+      const lower = observation.toLowerCase();
+      const position = queryTerms
+        .map(term => lower.indexOf(term))
+        .filter(index => index >= 0)
+        .sort((a, b) => a - b)[0];
+
+      if (position === undefined) continue;
+
+      const start = Math.max(0, position - Math.floor(SNIPPET_LENGTH / 4));
+      const end = Math.min(observation.length, start + SNIPPET_LENGTH);
+      snippets.push(`${start > 0 ? '...' : ''}${observation.substring(start, end)}${end < observation.length ? '...' : ''}`);
+
+      if (snippets.length >= maxSnippets) break;
+    }
+
+    return snippets;
+  }
+}
+
+module.exports = SearchIndex;
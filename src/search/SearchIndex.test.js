@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchIndex = require('./SearchIndex');
+
+function indexOf(entities) {
+  const index = new SearchIndex();
+  entities.forEach(entity => index.add(entity, { fileReference: `${entity.name}.json`, priority: entity.priority || 'low' }));
+  return index;
+}
+
+test('ranks by BM25 with name matches above observation matches', () => {
+  const index = indexOf([
+    { name: 'Memory_Research', entityType: 'Research', observations: ['context windows'] },
+    { name: 'Notes', entityType: 'Note', observations: ['memory memory management'] },
+    { name: 'Unrelated', entityType: 'Note', observations: ['gardening'] }
+  ]);
+
+  const { total, results } = index.search('memory');
+  assert.equal(total, 2);
+  assert.equal(results[0].entityName, 'Memory_Research');
+  assert.ok(results.every(result => result.score > 0));
+});
+
+test('filters, pagination and incremental updates', () => {
+  const index = indexOf([
+    { name: 'A', entityType: 'Research', observations: ['agi memory'] },
+    { name: 'B', entityType: 'Note', observations: ['agi memory'] },
+    { name: 'C', entityType: 'Research', observations: ['agi'] }
+  ]);
+
+  assert.deepEqual(index.search('agi', { filters: { entityType: 'Research' } }).results.map(r => r.entityName).sort(), ['A', 'C']);
+  assert.equal(index.search('agi', { limit: 1, offset: 1 }).results.length, 1);
+
+  index.remove('A');
+  index.add({ name: 'B', entityType: 'Note', observations: ['nothing relevant'] }, {});
+  assert.deepEqual(index.search('memory').results, []);
+});
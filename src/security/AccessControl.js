@@ -0,0 +1,164 @@
+/**
+ * AccessControl - Role-based policies for entity reads, writes and search
+ * Revolutionary AGI Memory Management System - Enterprise Access Control
+ *
+ * Configuration maps role names to policy lists:
+ *
+ *   {
+ *     roles: {
+ *       admin:   [{ effect: 'allow', actions: ['*'] }],
+ *       analyst: [
+ *         { effect: 'allow', actions: ['read', 'search'], match: { entityType: 'Research' } },
+ *         { effect: 'allow', actions: ['summary'] },
+ *         { effect: 'deny',  actions: ['read'], match: { tags: ['pii'] } }
+ *       ]
+ *     }
+ *   }
+ *
+ * Actions: read, summary, search, create, update, delete, admin (or '*'). `admin` covers
+ * store-wide operations such as re-encryption and key rotation; it is checked without an entity.
+ * `match` keys: entityType, name (glob with '*' or RegExp), priority, tags
+ * (any listed tag). Each key accepts a single value or an array. A deny
+ * from any of the principal's roles wins; without a matching allow the
+ * action is denied. Summary access follows policies that name 'summary'
+ * (or '*'); when none match, it follows read access.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const ACTIONS = ['read', 'summary', 'search', 'create', 'update', 'delete', 'admin'];
+
+class AccessDeniedError extends Error {
+  constructor(action, resource, principal, details = {}) {
+    const subject = principal && principal.id ? `'${principal.id}'` : 'anonymous caller';
+    const target = resource && resource.entityName ? ` on '${resource.entityName}'` : '';
+    super(`Access denied: ${action}${target} is not allowed for ${subject}`);
+    this.name = 'AccessDeniedError';
+    this.code = 'EACCES';
+    this.action = action;
+    this.entityName = resource ? resource.entityName : undefined;
+    this.principal = principal ? principal.id : undefined;
+    // L0 summary the caller may still see, when policy allows it
+    this.summary = details.summary;
+  }
+}
+
+class AccessControl {
+  constructor(config) {
+    this.enabled = Boolean(config);
+    this.roles = new Map();
+
+    if (config) {
+      Object.entries(config.roles || {}).forEach(([role, policies]) => this.defineRole(role, policies));
+    }
+  }
+
+  /**
+   * Define (or replace) the policies of a role
+   */
+  defineRole(role, policies) {
+    if (!Array.isArray(policies)) {
+      throw new Error(`Policies for role '${role}' must be an array`);
+    }
+
+    this.roles.set(role, policies.map(policy => {
+      if (!['allow', 'deny'].includes(policy.effect)) {
+        throw new Error(`Policy in role '${role}' must have effect 'allow' or 'deny'`);
+      }
+      const actions = [].concat(policy.actions || []);
+      const unknown = actions.filter(action => action !== '*' && !ACTIONS.includes(action));
+      if (actions.length === 0 || unknown.length > 0) {
+        throw new Error(`Policy in role '${role}' has invalid actions: ${unknown.join(', ') || '(none)'}`);
+      }
+      return { effect: policy.effect, actions, match: policy.match || {} };
+    }));
+    this.enabled = true;
+  }
+
+  /**
+   * Decide whether `principal` ({ id, roles }) may perform `action` on `resource`
+   * ({ entityName, entityType, priority, tags }). Always true when disabled.
+   */
+  can(principal, action, resource = {}) {
+    if (!this.enabled) {
+      return true;
+    }
+    if (!principal || !Array.isArray(principal.roles)) {
+      return false;
+    }
+
+    if (action === 'summary') {
+      const explicit = this.evaluate(principal, 'summary', resource);
+      return explicit ? explicit === 'allow' : this.evaluate(principal, 'read', resource) === 'allow';
+    }
+    return this.evaluate(principal, action, resource) === 'allow';
+  }
+
+  /**
+   * Throw AccessDeniedError unless the action is allowed
+   */
+  authorize(principal, action, resource = {}, details = {}) {
+    if (!this.can(principal, action, resource)) {
+      throw new AccessDeniedError(action, resource, principal, details);
+    }
+    return true;
+  }
+
+  // Private helper methods
+
+  /**
+   * 'deny' if any matching policy denies, 'allow' if any allows, otherwise null
+   */
+  evaluate(principal, action, resource) {
+    let decision = null;
+
+    for (const role of principal.roles) {
+      for (const policy of this.roles.get(role) || []) {
+        const applies = policy.actions.includes('*') || policy.actions.includes(action);
+        if (!applies || !this.matches(policy.match, resource)) continue;
+
+        if (policy.effect === 'deny') {
+          return 'deny';
+        }
+        decision = 'allow';
+      }
+    }
+
+    return decision;
+  }
+
+  matches(match, resource) {
+    return Object.entries(match).every(([key, expected]) => {
+      const accepted = [].concat(expected);
+
+      switch (key) {
+        case 'name':
+          return accepted.some(pattern => AccessControl.matchName(pattern, resource.entityName));
+        case 'tags':
+          return (resource.tags || []).some(tag => accepted.includes(tag));
+        case 'entityType':
+        case 'priority':
+          return accepted.includes(resource[key]);
+        default:
+          throw new Error(`Unknown policy match key '${key}'`);
+      }
+    });
+  }
+
+  static matchName(pattern, name) {
+    if (typeof name !== 'string') return false;
+    if (pattern instanceof RegExp) return pattern.test(name);
+
+    const source = String(pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(name);
+  }
+}
+
+module.exports = AccessControl;
+module.exports.AccessDeniedError = AccessDeniedError;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,198 @@
+/**
+ * KeyfileProvider - Encryption keys kept in a local JSON keyfile
+ * Revolutionary AGI Memory Management System - Key Management
+ *
+ * Keyfile format: `{ "activeKeyId": "k1", "keys": { "k1": "<base64, 32 bytes>" }, "namingKey": "<base64>" }`.
+ * Older keys stay in the file so files and history written under them remain
+ * readable; retire a key only after every file has been re-encrypted. The naming key
+ * names files and observation blobs; it never changes, since stored names depend on it.
+ *
+ * Any object with the same async methods can replace this class as `encryption.provider`
+ * (e.g. one backed by a KMS): getActiveKey() -> { id, key }, getKey(id) -> Buffer,
+ * getNamingKey() -> Buffer, and optionally rotate() -> { id } and retireKey(id).
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/fileUtils');
+
+const KEY_BYTES = 32;
+// Keyfiles that predate the naming key get one derived from their active key (see load())
+const NAMING_KEY_INFO = 'cortex file naming key';
+
+class KeyfileProvider {
+  /**
+   * @param {Object} options - path (required), create (write a new keyfile when missing)
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('KeyfileProvider requires a keyfile path');
+    }
+    this.path = options.path;
+    this.create = Boolean(options.create);
+    this.keyring = null;
+    this.loading = null;
+  }
+
+  async getActiveKey() {
+    const keyring = await this.load();
+    return { id: keyring.activeKeyId, key: keyring.keys.get(keyring.activeKeyId) };
+  }
+
+  /**
+   * Key for naming files and observation blobs (HMAC); the same for every encryption key
+   */
+  async getNamingKey() {
+    return (await this.load()).namingKey;
+  }
+
+  async getKey(id) {
+    const key = (await this.load()).keys.get(id);
+    if (!key) {
+      throw new Error(`Unknown encryption key '${id}' in ${this.path}`);
+    }
+    return key;
+  }
+
+  /**
+   * Generate a new key and make it the active one; existing keys are kept
+   */
+  async rotate() {
+    const keyring = await this.load();
+    const id = KeyfileProvider.generateKeyId();
+    // The loaded keyring only changes once the keyfile has been written
+    await this.save({ ...keyring, activeKeyId: id, keys: new Map(keyring.keys).set(id, crypto.randomBytes(KEY_BYTES)) });
+    return { id };
+  }
+
+  /**
+   * Remove a key that no file uses any more; the active key cannot be retired
+   */
+  async retireKey(id) {
+    const keyring = await this.load();
+    if (id === keyring.activeKeyId) {
+      throw new Error(`Cannot retire the active encryption key '${id}'`);
+    }
+    if (!keyring.keys.has(id)) {
+      return false;
+    }
+    const keys = new Map(keyring.keys);
+    keys.delete(id);
+    await this.save({ ...keyring, keys });
+    return true;
+  }
+
+  // Private helper methods
+
+  load() {
+    if (this.keyring) {
+      return Promise.resolve(this.keyring);
+    }
+
+    // Concurrent first calls share one read, so they cannot create two different keyfiles
+    if (!this.loading) {
+      this.loading = this.readKeyring().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async readKeyring() {
+    let content;
+    try {
+      content = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !this.create) {
+        throw new Error(`Cannot read encryption keyfile ${this.path}: ${error.message}`, { cause: error });
+      }
+      return this.createKeyring();
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Encryption keyfile is not valid JSON: ${this.path}`, { cause: error });
+    }
+
+    const keys = new Map(Object.entries(parsed.keys || {}).map(([id, encoded]) => [id, Buffer.from(encoded, 'base64')]));
+    const invalid = [...keys.entries()].filter(([, key]) => key.length !== KEY_BYTES).map(([id]) => id);
+    if (invalid.length > 0) {
+      throw new Error(`Encryption key(s) ${invalid.join(', ')} in ${this.path} are not ${KEY_BYTES} bytes`);
+    }
+    if (!keys.has(parsed.activeKeyId)) {
+      throw new Error(`Active encryption key '${parsed.activeKeyId}' is missing from ${this.path}`);
+    }
+
+    if (parsed.namingKey) {
+      const namingKey = Buffer.from(parsed.namingKey, 'base64');
+      if (namingKey.length !== KEY_BYTES) {
+        throw new Error(`Naming key in ${this.path} is not ${KEY_BYTES} bytes`);
+      }
+      this.keyring = { activeKeyId: parsed.activeKeyId, keys, namingKey };
+      return this.keyring;
+    }
+
+    // Derived rather than random, so processes that load this keyfile at once agree on it
+    const namingKey = Buffer.from(crypto.hkdfSync('sha256', keys.get(parsed.activeKeyId), Buffer.alloc(0), NAMING_KEY_INFO, KEY_BYTES));
+    const keyring = { activeKeyId: parsed.activeKeyId, keys, namingKey };
+    try {
+      await this.save(keyring);
+    } catch (error) {
+      // A read-only keyfile still works; the next rotate() stores the naming key first
+      if (!['EACCES', 'EPERM', 'EROFS'].includes(error.code)) throw error;
+      this.keyring = keyring;
+    }
+    return this.keyring;
+  }
+
+  async createKeyring() {
+    const id = KeyfileProvider.generateKeyId();
+    const keyring = {
+      activeKeyId: id,
+      keys: new Map([[id, crypto.randomBytes(KEY_BYTES)]]),
+      namingKey: crypto.randomBytes(KEY_BYTES)
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      // Exclusive create: another process may be creating the keyfile right now
+      await fs.writeFile(this.path, KeyfileProvider.serialize(keyring), { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new Error(`Cannot create encryption keyfile ${this.path}: ${error.message}`, { cause: error });
+      }
+      return this.readKeyring();
+    }
+
+    this.keyring = keyring;
+    return keyring;
+  }
+
+  async save(keyring) {
+    // Only the owner may read the keys
+    await writeFileAtomic(this.path, KeyfileProvider.serialize(keyring), { mode: 0o600 });
+    this.keyring = keyring;
+  }
+
+  static serialize(keyring) {
+    const content = JSON.stringify({
+      activeKeyId: keyring.activeKeyId,
+      keys: Object.fromEntries([...keyring.keys.entries()].map(([id, key]) => [id, key.toString('base64')])),
+      namingKey: keyring.namingKey.toString('base64')
+    }, null, 2);
+    return `${content}\n`;
+  }
+
+  static generateKeyId() {
+    return `k${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+  }
+}
+
+module.exports = KeyfileProvider;
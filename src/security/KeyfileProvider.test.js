@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KeyfileProvider = require('./KeyfileProvider');
+
+function keyfilePath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-keys-')), 'keys', 'keys.json');
+}
+
+test('concurrent first loads create one keyfile and agree on its keys', async () => {
+  const keyfile = keyfilePath();
+  const first = new KeyfileProvider({ path: keyfile, create: true });
+  const second = new KeyfileProvider({ path: keyfile, create: true });
+
+  const [a, b, c] = await Promise.all([first.getActiveKey(), first.getActiveKey(), second.getActiveKey()]);
+
+  assert.equal(a.id, b.id);
+  assert.equal(a.id, c.id);
+  assert.ok(a.key.equals(c.key));
+  assert.ok((await first.getNamingKey()).equals(await second.getNamingKey()));
+  assert.equal(fs.statSync(keyfile).mode & 0o777, 0o600);
+});
+
+test('keyfiles without a naming key get a stable one that survives rotation', async () => {
+  const keyfile = keyfilePath();
+  fs.mkdirSync(path.dirname(keyfile), { recursive: true });
+  fs.writeFileSync(keyfile, JSON.stringify({ activeKeyId: 'k1', keys: { k1: Buffer.alloc(32, 1).toString('base64') } }));
+
+  const namingKey = await new KeyfileProvider({ path: keyfile }).getNamingKey();
+  assert.ok(namingKey.equals(await new KeyfileProvider({ path: keyfile }).getNamingKey()));
+  assert.equal(JSON.parse(fs.readFileSync(keyfile, 'utf8')).namingKey, namingKey.toString('base64'));
+
+  const provider = new KeyfileProvider({ path: keyfile });
+  await provider.rotate();
+  assert.ok((await new KeyfileProvider({ path: keyfile }).getNamingKey()).equals(namingKey));
+});
@@ -0,0 +1,142 @@
+/**
+ * PayloadCipher - AES-256-GCM encryption of L1 file payloads
+ * Revolutionary AGI Memory Management System - Encryption at Rest
+ *
+ * Encrypted payloads use an envelope: 4 magic bytes ('CTXE'), 1 version byte,
+ * 1 key-id length byte, the key id, a 12-byte IV, the 16-byte auth tag, then the
+ * ciphertext. The header is authenticated too, so a file cannot be pointed at another
+ * key. Carrying the key id lets files written under older keys stay readable after rotation.
+ * Names derived from content or entity names are keyed hashes (HMAC-SHA256 with the provider's
+ * naming key), so they cannot be checked against guessed plain text.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+const KeyfileProvider = require('./KeyfileProvider');
+
+const MAGIC = Buffer.from('CTXE', 'ascii');
+const VERSION = 1;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + 2;
+
+class DecryptionError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DecryptionError';
+    this.code = 'EDECRYPT';
+  }
+}
+
+class PayloadCipher {
+  /**
+   * @param {Object} provider - getActiveKey() -> { id, key }, getKey(id) -> Buffer,
+   *   getNamingKey() -> Buffer (see KeyfileProvider)
+   */
+  constructor(provider) {
+    const missing = ['getActiveKey', 'getKey', 'getNamingKey'].filter(method => !provider || typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Encryption key provider is missing method(s): ${missing.join(', ')}`);
+    }
+    this.provider = provider;
+  }
+
+  /**
+   * Resolve `config.encryption` ({ keyfile, create } or { provider }) into a cipher, or null
+   */
+  static fromConfig(encryption) {
+    if (!encryption || encryption.enabled === false) {
+      return null;
+    }
+    if (encryption.provider) {
+      return new PayloadCipher(encryption.provider);
+    }
+    if (encryption.keyfile) {
+      return new PayloadCipher(new KeyfileProvider({ path: encryption.keyfile, create: encryption.create }));
+    }
+    throw new Error('Encryption requires a keyfile or a key provider');
+  }
+
+  static isEncrypted(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length > HEADER_BYTES && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  /**
+   * Id of the key an encrypted payload was written with, or null for plain payloads
+   */
+  static keyIdOf(buffer) {
+    if (!PayloadCipher.isEncrypted(buffer)) {
+      return null;
+    }
+    const idLength = buffer[MAGIC.length + 1];
+    return buffer.subarray(HEADER_BYTES, HEADER_BYTES + idLength).toString('utf8');
+  }
+
+  /**
+   * Keyed hash of `value` as 64 hex chars; `purpose` keeps names of different kinds apart
+   */
+  static keyedName(namingKey, purpose, value) {
+    return crypto.createHmac('sha256', namingKey).update(`${purpose}\u0000`).update(value, 'utf8').digest('hex');
+  }
+
+  async getNamingKey() {
+    const namingKey = await this.provider.getNamingKey();
+    if (!Buffer.isBuffer(namingKey) || namingKey.length < 16) {
+      throw new Error('Encryption key provider returned an invalid naming key (need a Buffer of at least 16 bytes)');
+    }
+    return namingKey;
+  }
+
+  async encrypt(data) {
+    const { id, key } = await this.provider.getActiveKey();
+    const keyId = Buffer.from(String(id), 'utf8');
+    if (keyId.length === 0 || keyId.length > 255) {
+      throw new Error(`Encryption key id must be 1-255 bytes, got '${id}'`);
+    }
+
+    const header = Buffer.concat([MAGIC, Buffer.from([VERSION, keyId.length]), keyId]);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([header, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  async decrypt(buffer) {
+    if (!PayloadCipher.isEncrypted(buffer)) {
+      throw new DecryptionError('Payload is not encrypted');
+    }
+
+    const version = buffer[MAGIC.length];
+    if (version !== VERSION) {
+      throw new DecryptionError(`Unsupported encryption envelope version ${version}`);
+    }
+
+    const headerLength = HEADER_BYTES + buffer[MAGIC.length + 1];
+    if (buffer.length < headerLength + IV_BYTES + TAG_BYTES) {
+      throw new DecryptionError('Encrypted payload is truncated');
+    }
+
+    const keyId = PayloadCipher.keyIdOf(buffer);
+    const key = await this.provider.getKey(keyId);
+    const iv = buffer.subarray(headerLength, headerLength + IV_BYTES);
+    const tag = buffer.subarray(headerLength + IV_BYTES, headerLength + IV_BYTES + TAG_BYTES);
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(buffer.subarray(0, headerLength));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(buffer.subarray(headerLength + IV_BYTES + TAG_BYTES)), decipher.final()]);
+    } catch (error) {
+      // GCM does not distinguish a wrong key from tampering
+      throw new DecryptionError(`Payload failed authentication with key '${keyId}' (wrong key or modified file)`, { cause: error });
+    }
+  }
+}
+
+module.exports = PayloadCipher;
+module.exports.DecryptionError = DecryptionError;
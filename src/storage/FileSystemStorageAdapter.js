@@ -0,0 +1,118 @@
+/**
+ * FileSystemStorageAdapter - Plain directory L1 storage
+ * Keys map to files below `localPath`; writes are atomic.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const { writeFileAtomic } = require('../utils/fileUtils');
+
+class FileSystemStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'filesystem';
+    this.rootPath = path.resolve(config.localPath || '.cortex/l1');
+  }
+
+  async connect() {
+    await fs.mkdir(this.rootPath, { recursive: true });
+    return { type: this.type, path: this.rootPath };
+  }
+
+  async read(key) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    try {
+      return await fs.readFile(this.resolvePath(normalized));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw StorageAdapter.notFound(normalized);
+      }
+      throw error;
+    }
+  }
+
+  async write(key, data, options = {}) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    const buffer = StorageAdapter.toBuffer(data);
+
+    await writeFileAtomic(this.resolvePath(normalized), buffer);
+    return { key: normalized, size: buffer.length };
+  }
+
+  async delete(key, options = {}) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    try {
+      await fs.unlink(this.resolvePath(normalized));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const normalizedPrefix = prefix ? StorageAdapter.normalizeKey(prefix).replace(/\/$/, '') : '';
+    const keys = [];
+    await this.walk(normalizedPrefix, keys);
+    return keys.sort();
+  }
+
+  async stat(key) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    try {
+      const stats = await fs.stat(this.resolvePath(normalized));
+      if (!stats.isFile()) {
+        return null;
+      }
+      return { key: normalized, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  async walk(relativeDir, keys) {
+    let entries;
+    try {
+      entries = await fs.readdir(relativeDir ? this.resolvePath(relativeDir) : this.rootPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      // Skip VCS metadata and in-flight atomic writes
+      if (entry.name === '.git' || entry.name.endsWith('.tmp')) continue;
+
+      const key = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await this.walk(key, keys);
+      } else if (entry.isFile()) {
+        keys.push(key);
+      }
+    }
+  }
+
+  resolvePath(key) {
+    const resolved = path.resolve(this.rootPath, key);
+    if (!resolved.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Storage key escapes repository: ${key}`);
+    }
+    return resolved;
+  }
+}
+
+module.exports = FileSystemStorageAdapter;
@@ -0,0 +1,242 @@
+/**
+ * GitStorageAdapter - Versioned L1 storage in a local git working tree
+ * Every write and delete becomes its own commit.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const { promisify } = require('util');
+const FileSystemStorageAdapter = require('./FileSystemStorageAdapter');
+const StorageAdapter = require('./StorageAdapter');
+const { InvalidArgumentError } = require('../utils/errors');
+
+const execFileAsync = promisify(execFile);
+
+class GitStorageAdapter extends FileSystemStorageAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'git';
+    this.supportsHistory = true;
+    this.authorName = config.gitAuthorName || 'Cortex';
+    this.authorEmail = config.gitAuthorEmail || 'cortex@localhost';
+    this.gitQueue = Promise.resolve();
+  }
+
+  async connect() {
+    await super.connect();
+
+    // Initialize the working tree on first use so a fresh store is usable immediately.
+    // A store inside another repository still gets its own, or its commits would land in the host's history.
+    const isRepository = await this.isRepositoryRoot();
+
+    if (!isRepository) {
+      this.logger.info(`Initializing git repository at ${this.rootPath}`);
+      await this.runGit(['init', '--quiet']);
+    }
+
+    return { type: this.type, path: this.rootPath, initialized: !isRepository };
+  }
+
+  /**
+   * Write and commit a file. Pass `commit: false` to only stage it, so several
+   * writes can land in the commit made by a later write.
+   */
+  async write(key, data, options = {}) {
+    const normalized = StorageAdapter.normalizeKey(key);
+
+    return this.serializeGit(async () => {
+      const existed = (await super.stat(normalized)) !== null;
+      const result = await super.write(normalized, data, options);
+
+      await this.runGit(['add', '--', normalized]);
+      if (options.commit === false) {
+        return { ...result, commit: null };
+      }
+
+      const message = options.message || `${existed ? 'Update' : 'Add'} ${normalized}`;
+      return { ...result, commit: await this.commitStaged(message) };
+    });
+  }
+
+  async delete(key, options = {}) {
+    const normalized = StorageAdapter.normalizeKey(key);
+
+    return this.serializeGit(async () => {
+      const existed = await super.delete(normalized, options);
+      if (!existed) {
+        return false;
+      }
+
+      await this.runGit(['rm', '--cached', '--quiet', '--ignore-unmatch', '--', normalized]);
+      if (options.commit !== false) {
+        await this.commitStaged(options.message || `Delete ${normalized}`);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Commit everything staged by writes or deletes made with `commit: false`
+   */
+  async commitPending(message) {
+    return this.serializeGit(() => this.commitStaged(message));
+  }
+
+  /**
+   * Commits that touched a key, newest first
+   */
+  async history(key) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    const output = await this.runGit(['log', '--format=%H%x1f%cI%x1f%an%x1f%s', '--', normalized])
+      .catch(() => ''); // no commits yet
+
+    return output.split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [commit, timestamp, author, message] = line.split('\x1f');
+        return { commit, timestamp, author, message };
+      });
+  }
+
+  async readAt(key, commit) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    if (!/^[0-9a-f]{4,40}$/i.test(commit) && commit !== 'HEAD') {
+      throw new InvalidArgumentError(`Invalid commit id: ${commit}`);
+    }
+
+    try {
+      // './' resolves the key against rootPath rather than the repository top level
+      return await this.runGit(['show', `${commit}:./${normalized}`], 'buffer');
+    } catch (error) {
+      throw StorageAdapter.notFound(`${normalized}@${commit}`);
+    }
+  }
+
+  /**
+   * Remove keys from every commit, then drop the old objects so the removed content
+   * cannot be recovered from this repository. Keys that still exist are committed
+   * again with their current content, so only their past versions disappear.
+   * Clones and remotes are not touched. Resolves to { keys, commit }.
+   */
+  async purgeHistory(keys, options = {}) {
+    const normalized = [...new Set(keys.map(key => StorageAdapter.normalizeKey(key)))];
+    if (normalized.length === 0) {
+      return { keys: [], commit: null };
+    }
+
+    return this.serializeGit(async () => {
+      if (!(await this.headCommit())) {
+        return { keys: [], commit: null };
+      }
+
+      // Rewriting a repository this store merely lives inside would rewrite unrelated history
+      if (!(await this.isRepositoryRoot())) {
+        throw new Error(`Refusing to rewrite history: ${this.rootPath} is not the root of its git repository`);
+      }
+
+      // filter-branch checks out the rewritten HEAD, which no longer has these files
+      const current = new Map();
+      for (const key of normalized) {
+        if ((await super.stat(key)) !== null) {
+          current.set(key, await super.read(key));
+        }
+      }
+
+      const quoted = normalized.map(key => `'${key.replace(/'/g, `'\\''`)}'`).join(' ');
+      try {
+        await this.runGit([
+          'filter-branch', '--force',
+          '--index-filter', `git rm --cached --quiet --ignore-unmatch -- ${quoted}`,
+          '--prune-empty', '--', '--all'
+        ], 'utf8', { FILTER_BRANCH_SQUELCH_WARNING: '1' });
+      } catch (error) {
+        // When every commit only touched these keys the branch is emptied and the final checkout fails
+        if (await this.headCommit()) {
+          throw error;
+        }
+      }
+
+      // filter-branch keeps backups of the old refs, and the reflog still reaches the old commits
+      const backups = await this.runGit(['for-each-ref', '--format=%(refname)', 'refs/original/']);
+      for (const ref of backups.split('\n').filter(Boolean)) {
+        await this.runGit(['update-ref', '-d', ref]);
+      }
+      await this.runGit(['reflog', 'expire', '--expire=now', '--all']);
+      await this.runGit(['gc', '--prune=now', '--quiet']);
+
+      for (const [key, data] of current) {
+        await super.write(key, data);
+        await this.runGit(['add', '--', key]);
+      }
+      const commit = await this.commitStaged(options.message || 'Restore current files after history purge');
+
+      this.logger.info(`Purged ${normalized.length} path(s) from git history`);
+      return { keys: normalized, commit };
+    });
+  }
+
+  // Private helper methods
+
+  /**
+   * Commit everything staged. Returns the new commit id, or the current
+   * HEAD when nothing changed (null while the repository has no commits).
+   */
+  async commitStaged(message) {
+    const staged = await this.runGit(['diff', '--cached', '--name-only']);
+    if (staged.trim()) {
+      await this.runGit([
+        '-c', `user.name=${this.authorName}`,
+        '-c', `user.email=${this.authorEmail}`,
+        'commit', '--quiet', '-m', message
+      ]);
+      this.logger.debug(`Committed: ${message}`);
+    }
+
+    return this.headCommit();
+  }
+
+  async headCommit() {
+    try {
+      return (await this.runGit(['rev-parse', '--verify', '--quiet', 'HEAD'])).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether rootPath is the top level of a git working tree (not merely inside one)
+   */
+  async isRepositoryRoot() {
+    try {
+      const topLevel = (await this.runGit(['rev-parse', '--show-toplevel'])).trim();
+      return await fs.realpath(topLevel) === await fs.realpath(this.rootPath);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run git operations one at a time; concurrent commits would fight over the index lock
+   */
+  serializeGit(operation) {
+    const result = this.gitQueue.then(operation);
+    this.gitQueue = result.catch(() => {});
+    return result;
+  }
+
+  async runGit(args, encoding = 'utf8', env = null) {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: this.rootPath,
+      encoding,
+      env: env ? { ...process.env, ...env } : process.env,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return stdout;
+  }
+}
+
+module.exports = GitStorageAdapter;
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GitStorageAdapter = require('./GitStorageAdapter');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-git-'));
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' });
+}
+
+test('commits every write and delete with its message', async () => {
+  const localPath = tempDir();
+  const storage = new GitStorageAdapter({ localPath, logLevel: 'silent' });
+  const { initialized } = await storage.connect();
+  assert.equal(initialized, true);
+
+  await storage.write('cortex/entities/a.json', '{"v":1}', { message: 'Add a' });
+  await storage.write('cortex/entities/a.json', '{"v":2}');
+  await storage.delete('cortex/entities/a.json', { message: 'Remove a' });
+
+  assert.deepEqual(git(localPath, 'log', '--format=%s').trim().split('\n'),
+    ['Remove a', 'Update cortex/entities/a.json', 'Add a']);
+});
+
+test('a store inside another repository gets its own repository', async () => {
+  const host = tempDir();
+  git(host, 'init', '--quiet');
+  git(host, '-c', 'user.name=Host', '-c', 'user.email=host@localhost', 'commit', '--quiet', '--allow-empty', '-m', 'Host commit');
+
+  const storage = new GitStorageAdapter({ localPath: path.join(host, 'store'), logLevel: 'silent' });
+  const { initialized } = await storage.connect();
+  await storage.write('cortex/entities/x.json', '{}', { message: 'Create entity X' });
+
+  assert.equal(initialized, true);
+  assert.equal(git(host, 'log', '--format=%s').trim(), 'Host commit');
+  assert.equal(git(path.join(host, 'store'), 'log', '--format=%s').trim(), 'Create entity X');
+});
+
+test('staged writes land in the next commit', async () => {
+  const localPath = tempDir();
+  const storage = new GitStorageAdapter({ localPath, logLevel: 'silent' });
+  await storage.connect();
+
+  await storage.write('a.txt', 'a', { commit: false });
+  const { commit } = await storage.write('b.txt', 'b', { message: 'Add a and b' });
+
+  assert.equal(git(localPath, 'log', '--format=%H', '--', 'a.txt').trim(), commit);
+  assert.equal(git(localPath, 'log', '--format=%H', '--', 'b.txt').trim(), commit);
+});
+
+test('committing with nothing staged before the first commit returns null', async () => {
+  const storage = new GitStorageAdapter({ localPath: tempDir(), logLevel: 'silent' });
+  await storage.connect();
+
+  assert.equal(await storage.commitPending('Nothing yet'), null);
+  const { commit } = await storage.write('a.txt', 'a');
+  assert.equal(await storage.commitPending('Nothing new'), commit);
+});
+
+test('reads past versions by commit', async () => {
+  const storage = new GitStorageAdapter({ localPath: path.join(tempDir(), 'nested', 'store'), logLevel: 'silent' });
+  await storage.connect();
+  const first = (await storage.write('cortex/entities/x.json', 'v1')).commit;
+  await storage.write('cortex/entities/x.json', 'v2');
+
+  assert.equal((await storage.readAt('cortex/entities/x.json', first)).toString(), 'v1');
+  assert.equal((await storage.readAt('cortex/entities/x.json', 'HEAD')).toString(), 'v2');
+  await assert.rejects(storage.readAt('cortex/entities/y.json', first), { code: 'ENOENT' });
+  await assert.rejects(storage.readAt('cortex/entities/x.json', '--output=/tmp/x'), /Invalid commit id/);
+});
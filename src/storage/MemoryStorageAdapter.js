@@ -0,0 +1,65 @@
+/**
+ * MemoryStorageAdapter - Volatile in-process L1 storage
+ * Intended for tests and ephemeral agents; nothing survives the process.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'memory';
+    this.files = new Map();
+  }
+
+  async connect() {
+    return { type: this.type, keys: this.files.size };
+  }
+
+  async read(key) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    const file = this.files.get(normalized);
+    if (!file) {
+      throw StorageAdapter.notFound(normalized);
+    }
+    return Buffer.from(file.data);
+  }
+
+  async write(key, data, options = {}) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    const buffer = Buffer.from(StorageAdapter.toBuffer(data));
+
+    this.files.set(normalized, {
+      data: buffer,
+      modifiedAt: new Date().toISOString()
+    });
+
+    return { key: normalized, size: buffer.length };
+  }
+
+  async delete(key, options = {}) {
+    return this.files.delete(StorageAdapter.normalizeKey(key));
+  }
+
+  async list(prefix = '') {
+    const normalizedPrefix = prefix ? StorageAdapter.normalizeKey(prefix).replace(/\/?$/, '/') : '';
+    return [...this.files.keys()]
+      .filter(key => key.startsWith(normalizedPrefix))
+      .sort();
+  }
+
+  async stat(key) {
+    const normalized = StorageAdapter.normalizeKey(key);
+    const file = this.files.get(normalized);
+    if (!file) {
+      return null;
+    }
+    return { key: normalized, size: file.data.length, modifiedAt: file.modifiedAt };
+  }
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,209 @@
+/**
+ * ObservationStore - Content-addressed observation blobs
+ * Revolutionary AGI Memory Management System - Intelligent Deduplication
+ *
+ * Each distinct observation text is stored once under a hash of the text
+ * (`<blobsPath>/<first two hex chars>/<hash>`). Entity files list the hashes
+ * in `observationRefs` instead of carrying the text, so repeated
+ * observations are shared across entities and versions. With encryption the
+ * blob content is encrypted and the name is an HMAC under the naming key, so a
+ * guessed observation cannot be confirmed from the name. Blobs named by plain
+ * SHA-256 before that stay readable until reencrypt() renames them.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+const PayloadCipher = require('../security/PayloadCipher');
+
+const MAX_CACHED_BLOBS = 10000;
+
+class ObservationStore {
+  constructor(storage, config = {}) {
+    this.storage = storage;
+    this.blobsPath = config.blobsPath || 'cortex/blobs';
+    this.cipher = config.cipher || null;
+    // Set by L1Repository#connect when encryption is configured
+    this.namingKey = null;
+    this.knownHashes = new Set();
+    this.textCache = new Map();
+  }
+
+  static hash(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
+  /**
+   * Name of the blob holding `text`: keyed with encryption, else its SHA-256
+   */
+  name(text) {
+    return this.namingKey
+      ? PayloadCipher.keyedName(this.namingKey, 'observation', text)
+      : ObservationStore.hash(text);
+  }
+
+  /**
+   * Every key `text` may be stored under, including its name from before keyed naming
+   */
+  blobKeys(text) {
+    return [...new Set([this.name(text), ObservationStore.hash(text)])].map(hash => this.blobKey(hash));
+  }
+
+  blobKey(hash) {
+    if (!/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(`Invalid observation hash: ${hash}`);
+    }
+    return `${this.blobsPath}/${hash.substring(0, 2)}/${hash}`;
+  }
+
+  /**
+   * Store an observation if it is not stored yet. Resolves to its hash.
+   * Blobs are only staged (`commit: false`); the entity write that references them commits.
+   */
+  async put(text) {
+    const value = String(text);
+    const hash = this.name(value);
+
+    if (!this.knownHashes.has(hash)) {
+      const key = this.blobKey(hash);
+      if (!(await this.storage.exists(key))) {
+        const content = this.cipher ? await this.cipher.encrypt(Buffer.from(value, 'utf8')) : value;
+        await this.storage.write(key, content, { commit: false, message: `Add observation blob ${hash}` });
+      }
+      this.knownHashes.add(hash);
+    }
+
+    this.remember(hash, value);
+    return hash;
+  }
+
+  /**
+   * Resolve an observation by hash, optionally as of a commit
+   */
+  async get(hash, options = {}) {
+    if (this.textCache.has(hash)) {
+      return this.textCache.get(hash);
+    }
+
+    const key = this.blobKey(hash);
+    let content;
+    try {
+      // Blobs are never rewritten, so the current copy is valid for any version that referenced it
+      content = await this.storage.read(key);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !options.commit || !this.storage.supportsHistory) {
+        throw new Error(`Observation blob missing: ${hash}`);
+      }
+      // Garbage-collected since; history still has it
+      content = await this.storage.readAt(key, options.commit);
+    }
+
+    const text = (await this.decrypt(content, hash)).toString('utf8');
+    if (!this.matches(text, hash)) {
+      throw new Error(`Observation blob is corrupted: ${hash}`);
+    }
+
+    this.remember(hash, text);
+    return text;
+  }
+
+  /**
+   * Replace inline observations with content hashes
+   */
+  async dedupe(entity) {
+    if (!Array.isArray(entity.observations)) {
+      return entity;
+    }
+
+    const observationRefs = [];
+    for (const observation of entity.observations) {
+      observationRefs.push(await this.put(observation));
+    }
+
+    const { observations, ...rest } = entity;
+    return { ...rest, observationRefs };
+  }
+
+  /**
+   * Restore inline observations from content hashes; entities without refs pass through
+   */
+  async reassemble(entity, options = {}) {
+    if (!Array.isArray(entity.observationRefs)) {
+      return entity;
+    }
+
+    const observations = [];
+    for (const hash of entity.observationRefs) {
+      observations.push(await this.get(hash, options));
+    }
+
+    const { observationRefs, ...rest } = entity;
+    return { ...rest, observations };
+  }
+
+  /**
+   * Every stored blob hash
+   */
+  async listHashes() {
+    return (await this.storage.list(this.blobsPath))
+      .map(key => key.substring(key.lastIndexOf('/') + 1))
+      .filter(hash => /^[0-9a-f]{64}$/.test(hash));
+  }
+
+  /**
+   * Delete blobs that no entity references. `referenced` is a Set of hashes.
+   */
+  async collectGarbage(referenced, options = {}) {
+    const unreferenced = (await this.listHashes()).filter(hash => !referenced.has(hash));
+    let bytesFreed = 0;
+
+    for (const hash of unreferenced) {
+      const key = this.blobKey(hash);
+      const stats = await this.storage.stat(key);
+      bytesFreed += stats ? stats.size : 0;
+
+      if (!options.dryRun) {
+        await this.storage.delete(key, { commit: false });
+        this.knownHashes.delete(hash);
+        this.textCache.delete(hash);
+      }
+    }
+
+    if (!options.dryRun && unreferenced.length > 0) {
+      await this.storage.commitPending(`Collect ${unreferenced.length} unreferenced observation blob(s)`);
+    }
+
+    return { dryRun: Boolean(options.dryRun), removed: unreferenced, bytesFreed };
+  }
+
+  /**
+   * Plain content of a stored blob, whether or not it is encrypted
+   */
+  async decrypt(content, hash) {
+    // The hash settles it even for plain text that happens to start like an envelope
+    if (!PayloadCipher.isEncrypted(content) || ObservationStore.hash(content.toString('utf8')) === hash) {
+      return content;
+    }
+    if (!this.cipher) {
+      throw new Error(`Observation blob is encrypted but no encryption key is configured: ${hash}`);
+    }
+    return this.cipher.decrypt(content);
+  }
+
+  // Private helper methods
+
+  matches(text, hash) {
+    return this.name(text) === hash || ObservationStore.hash(text) === hash;
+  }
+
+  remember(hash, text) {
+    if (this.textCache.size >= MAX_CACHED_BLOBS) {
+      this.textCache.delete(this.textCache.keys().next().value);
+    }
+    this.textCache.set(hash, text);
+  }
+}
+
+module.exports = ObservationStore;
@@ -0,0 +1,111 @@
+/**
+ * StorageAdapter - Contract for L1 storage backends
+ * Revolutionary AGI Memory Management System - L1 Storage Layer
+ *
+ * Every backend stores opaque payloads under slash-separated keys
+ * (for example `cortex/entities/agi_memory.json`) and implements:
+ *
+ *   connect()               Prepare the backend. Resolves to a description object.
+ *   read(key)               Resolve to a Buffer. Rejects with code 'ENOENT' when missing.
+ *   write(key, data, opts)  Store a Buffer or string. Resolves to { key, size, ... }.
+ *   delete(key, opts)       Remove a key. Resolves to true if it existed.
+ *   list(prefix)            Resolve to the sorted keys under a prefix.
+ *   exists(key)             Resolve to a boolean.
+ *   stat(key)               Resolve to { key, size, modifiedAt } or null when missing.
+ *
+ * `opts.message` is a human-readable description of the change; backends
+ * with history (git) use it as the commit message, others ignore it.
+ * With `opts.commit === false` a history backend only stages the change;
+ * `commitPending(message)` later records everything staged as one change.
+ *
+ * Backends that keep history set `supportsHistory` and also implement:
+ *
+ *   history(key)            Resolve to [{ commit, timestamp, author, message }], newest first.
+ *   readAt(key, commit)     Resolve to the Buffer stored under key at that commit.
+ *
+ * and may implement:
+ *
+ *   purgeHistory(keys, opts) Remove the keys from every past version (current content is kept).
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const Logger = require('../utils/Logger');
+
+class StorageAdapter {
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = Logger.from(config.logger, config.logLevel).child({ component: 'storage' });
+    this.type = 'abstract';
+    this.supportsHistory = false;
+  }
+
+  async connect() {
+    return { type: this.type };
+  }
+
+  async read(key) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  async write(key, data, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  async delete(key, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  async list(prefix = '') {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async stat(key) {
+    throw new Error(`${this.constructor.name} does not implement stat()`);
+  }
+
+  async commitPending(message) {
+    return null;
+  }
+
+  async history(key) {
+    throw new Error(`${this.constructor.name} does not support version history`);
+  }
+
+  async readAt(key, commit) {
+    throw new Error(`${this.constructor.name} does not support version history`);
+  }
+
+  // Shared helpers for implementations
+
+  static normalizeKey(key) {
+    if (typeof key !== 'string' || !key) {
+      throw new Error('Storage key must be a non-empty string');
+    }
+
+    const normalized = key.replace(/\\/g, '/').replace(/^\/+/, '');
+    if (normalized.split('/').some(segment => segment === '..' || segment === '.')) {
+      throw new Error(`Storage key escapes repository: ${key}`);
+    }
+    return normalized;
+  }
+
+  static notFound(key) {
+    const error = new Error(`Storage key not found: ${key}`);
+    error.code = 'ENOENT';
+    error.key = key;
+    return error;
+  }
+
+  static toBuffer(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,90 @@
+/**
+ * Payload compression for L1 entity files
+ *
+ * Compressed payloads are wrapped in a small envelope so the algorithm can be
+ * detected on read: 4 magic bytes ('CTXZ'), 1 algorithm byte, then the
+ * compressed bytes. Payloads without the envelope are treated as plain
+ * (uncompressed) data, which keeps stores with older files readable.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const MAGIC = Buffer.from('CTXZ', 'ascii');
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+const ALGORITHMS = {
+  gzip: {
+    id: 1,
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip)
+  },
+  deflate: {
+    id: 2,
+    compress: promisify(zlib.deflate),
+    decompress: promisify(zlib.inflate)
+  },
+  brotli: {
+    id: 3,
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress)
+  }
+};
+
+const ALGORITHMS_BY_ID = new Map(Object.entries(ALGORITHMS).map(([name, algorithm]) => [algorithm.id, name]));
+
+function assertAlgorithm(algorithm) {
+  if (algorithm !== 'none' && !ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported compression '${algorithm}'. Available: none, ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  return algorithm;
+}
+
+/**
+ * Compress a payload with the given algorithm ('gzip', 'deflate', 'brotli' or 'none')
+ */
+async function compress(data, algorithm) {
+  assertAlgorithm(algorithm);
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+
+  if (algorithm === 'none') {
+    return buffer;
+  }
+
+  const { id, compress: compressFn } = ALGORITHMS[algorithm];
+  return Buffer.concat([MAGIC, Buffer.from([id]), await compressFn(buffer)]);
+}
+
+/**
+ * Reverse compress(). Resolves to { data, algorithm }; unwrapped payloads
+ * come back unchanged with algorithm 'none'. Bare gzip streams are accepted too.
+ */
+async function decompress(buffer) {
+  if (buffer.length > MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    const algorithm = ALGORITHMS_BY_ID.get(buffer[MAGIC.length]);
+    if (!algorithm) {
+      throw new Error(`Unknown compression id ${buffer[MAGIC.length]} in payload envelope`);
+    }
+    return {
+      data: await ALGORITHMS[algorithm].decompress(buffer.subarray(MAGIC.length + 1)),
+      algorithm
+    };
+  }
+
+  if (buffer.length > GZIP_MAGIC.length && buffer.subarray(0, GZIP_MAGIC.length).equals(GZIP_MAGIC)) {
+    return { data: await ALGORITHMS.gzip.decompress(buffer), algorithm: 'gzip' };
+  }
+
+  return { data: buffer, algorithm: 'none' };
+}
+
+module.exports = {
+  compress,
+  decompress,
+  assertAlgorithm,
+  algorithms: ['none', ...Object.keys(ALGORITHMS)]
+};
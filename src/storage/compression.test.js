@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const compression = require('./compression');
+
+const payload = Buffer.from(JSON.stringify({ observations: Array(50).fill('repeated observation text') }));
+
+for (const algorithm of compression.algorithms) {
+  test(`${algorithm} round-trips and records its algorithm`, async () => {
+    const compressed = await compression.compress(payload, algorithm);
+    const { data, algorithm: detected } = await compression.decompress(compressed);
+
+    assert.deepEqual(data, payload);
+    assert.equal(detected, algorithm);
+    if (algorithm !== 'none') {
+      assert.ok(compressed.length < payload.length);
+    }
+  });
+}
+
+test('plain and bare gzip payloads stay readable', async () => {
+  assert.equal((await compression.decompress(Buffer.from('{"a":1}'))).algorithm, 'none');
+  assert.deepEqual((await compression.decompress(zlib.gzipSync(payload))).data, payload);
+});
+
+test('unknown algorithms are rejected', async () => {
+  await assert.rejects(compression.compress(payload, 'lz4'), /Unsupported compression 'lz4'/);
+});
@@ -0,0 +1,52 @@
+/**
+ * Storage adapter registry for the L1 layer
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+const FileSystemStorageAdapter = require('./FileSystemStorageAdapter');
+const GitStorageAdapter = require('./GitStorageAdapter');
+
+const adapters = {
+  memory: MemoryStorageAdapter,
+  filesystem: FileSystemStorageAdapter,
+  git: GitStorageAdapter
+};
+
+/**
+ * Create the adapter selected by `config.storage`: one of the registered
+ * names ('memory', 'filesystem', 'git') or a ready-made StorageAdapter instance.
+ */
+function createStorageAdapter(config = {}) {
+  const storage = config.storage || 'git';
+
+  if (typeof storage === 'object') {
+    return storage;
+  }
+
+  const Adapter = adapters[storage];
+  if (!Adapter) {
+    throw new Error(`Unknown storage adapter '${storage}'. Available: ${Object.keys(adapters).join(', ')}`);
+  }
+  return new Adapter(config);
+}
+
+/**
+ * Register a custom adapter class under a name usable in `config.storage`
+ */
+function registerStorageAdapter(name, Adapter) {
+  adapters[name] = Adapter;
+}
+
+module.exports = {
+  StorageAdapter,
+  MemoryStorageAdapter,
+  FileSystemStorageAdapter,
+  GitStorageAdapter,
+  createStorageAdapter,
+  registerStorageAdapter
+};
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageAdapter, StorageAdapter } = require('./index');
+
+for (const type of ['memory', 'filesystem']) {
+  test(`${type} adapter follows the storage contract`, async () => {
+    const storage = createStorageAdapter({
+      storage: type,
+      localPath: fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-storage-')),
+      logLevel: 'silent'
+    });
+    await storage.connect();
+
+    await storage.write('cortex/entities/b.json', 'b');
+    await storage.write('cortex/entities/a.json', Buffer.from('a'));
+    await storage.write('cortex/metadata/relations.json', '[]');
+
+    assert.equal((await storage.read('cortex/entities/a.json')).toString(), 'a');
+    assert.deepEqual(await storage.list('cortex/entities'), ['cortex/entities/a.json', 'cortex/entities/b.json']);
+    assert.equal((await storage.stat('cortex/entities/b.json')).size, 1);
+    assert.equal(await storage.exists('cortex/entities/c.json'), false);
+
+    assert.equal(await storage.delete('cortex/entities/a.json'), true);
+    assert.equal(await storage.delete('cortex/entities/a.json'), false);
+    await assert.rejects(storage.read('cortex/entities/a.json'), { code: 'ENOENT' });
+  });
+}
+
+test('keys cannot escape the repository', () => {
+  assert.throws(() => StorageAdapter.normalizeKey('cortex/../../etc/passwd'), /escapes repository/);
+  assert.equal(StorageAdapter.normalizeKey('/cortex\\entities/a.json'), 'cortex/entities/a.json');
+});
+
+test('unknown adapters are rejected', () => {
+  assert.throws(() => createStorageAdapter({ storage: 'tape' }), /Unknown storage adapter 'tape'/);
+});
@@ -0,0 +1,307 @@
+/**
+ * HealthMonitor - Measured counters, latency histograms and threshold health checks
+ * Revolutionary AGI Memory Management System - Health Monitoring
+ *
+ * Counters and histograms are labelled (`{ layer: 'l1', result: 'hit' }`); latencies are
+ * recorded in milliseconds and exported in seconds, as Prometheus expects. Gauges are
+ * read from callbacks at collection time. `toPrometheus()` renders the text exposition format.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+// Upper bounds in seconds; chosen to separate in-memory hits from disk and git access
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const STATUS_RANK = { ok: 0, warn: 1, critical: 2 };
+const HEALTH_STATUS = ['healthy', 'degraded', 'unhealthy'];
+
+class HealthMonitor {
+  /**
+   * @param {Object} config - `health: { prefix, buckets, thresholds: { <check>: { warn, critical } } }`
+   */
+  constructor(config = {}) {
+    const health = config.health || {};
+    this.config = {
+      prefix: health.prefix || 'cortex_',
+      buckets: health.buckets || DEFAULT_BUCKETS,
+      thresholds: health.thresholds || {}
+    };
+
+    this.counters = new Map();
+    this.histograms = new Map();
+    this.gauges = new Map();
+    this.checks = new Map();
+    this.startedAt = null;
+
+    this.defineCounter('cache_requests_total', 'Cache lookups by layer and result');
+  }
+
+  async start() {
+    this.startedAt = Date.now();
+    return { success: true, startedAt: new Date(this.startedAt).toISOString() };
+  }
+
+  // Instrumentation
+
+  defineCounter(name, help) {
+    if (!this.counters.has(name)) {
+      this.counters.set(name, { help, series: new Map() });
+    }
+  }
+
+  defineHistogram(name, help) {
+    if (!this.histograms.has(name)) {
+      this.histograms.set(name, { help, series: new Map() });
+    }
+  }
+
+  /**
+   * Register a gauge read at collection time; `read()` returns a number or null
+   */
+  defineGauge(name, help, read) {
+    this.gauges.set(name, { help, read });
+  }
+
+  increment(name, labels = {}, value = 1) {
+    this.defineCounter(name, name);
+    const series = this.counters.get(name).series;
+    const key = HealthMonitor.labelKey(labels);
+    const current = series.get(key) || { labels, value: 0 };
+    current.value += value;
+    series.set(key, current);
+  }
+
+  observe(name, durationMs, labels = {}) {
+    this.defineHistogram(name, name);
+    const series = this.histograms.get(name).series;
+    const key = HealthMonitor.labelKey(labels);
+    let current = series.get(key);
+    if (!current) {
+      current = { labels, counts: new Array(this.config.buckets.length).fill(0), sum: 0, count: 0 };
+      series.set(key, current);
+    }
+
+    const seconds = durationMs / 1000;
+    const bucket = this.config.buckets.findIndex(bound => seconds <= bound);
+    if (bucket >= 0) {
+      current.counts[bucket]++;
+    }
+    current.sum += seconds;
+    current.count++;
+  }
+
+  /**
+   * Start timing; the returned function records the elapsed time and returns it in ms
+   */
+  startTimer(name, labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      this.observe(name, durationMs, { ...labels, ...extraLabels });
+      return durationMs;
+    };
+  }
+
+  recordCacheHit(layer = 'cortex') {
+    this.increment('cache_requests_total', { layer, result: 'hit' });
+  }
+
+  recordCacheMiss(layer = 'cortex') {
+    this.increment('cache_requests_total', { layer, result: 'miss' });
+  }
+
+  // Queries
+
+  getCounter(name, labels = {}) {
+    const counter = this.counters.get(name);
+    if (!counter) return 0;
+
+    // Sum every series whose labels include the requested ones
+    let total = 0;
+    for (const series of counter.series.values()) {
+      if (Object.entries(labels).every(([label, value]) => series.labels[label] === value)) {
+        total += series.value;
+      }
+    }
+    return total;
+  }
+
+  getHitRate(layer) {
+    const hits = this.getCounter('cache_requests_total', { layer, result: 'hit' });
+    const total = hits + this.getCounter('cache_requests_total', { layer, result: 'miss' });
+    return total > 0 ? Math.round(hits / total * 1000) / 1000 : null;
+  }
+
+  /**
+   * Latency summary in ms, merged over all series matching `labels`
+   */
+  getLatency(name, labels = {}) {
+    const histogram = this.histograms.get(name);
+    const counts = new Array(this.config.buckets.length).fill(0);
+    let sum = 0;
+    let count = 0;
+
+    for (const series of histogram ? histogram.series.values() : []) {
+      if (!Object.entries(labels).every(([label, value]) => series.labels[label] === value)) continue;
+      series.counts.forEach((bucketCount, index) => { counts[index] += bucketCount; });
+      sum += series.sum;
+      count += series.count;
+    }
+
+    if (count === 0) {
+      return { count: 0, avgMs: null, p50Ms: null, p95Ms: null, p99Ms: null };
+    }
+
+    const round = seconds => (seconds === null ? null : Math.round(seconds * 1e6) / 1000);
+    return {
+      count,
+      avgMs: round(sum / count),
+      p50Ms: round(this.quantile(counts, count, 0.5)),
+      p95Ms: round(this.quantile(counts, count, 0.95)),
+      p99Ms: round(this.quantile(counts, count, 0.99))
+    };
+  }
+
+  // Health checks
+
+  /**
+   * Register a threshold check
+   * `value()` returns a number or null (not enough data). Thresholds come from
+   * `config.health.thresholds[name]` when set, else from `warn`/`critical` here.
+   * `below: true` flags values under the thresholds instead of over them.
+   */
+  addCheck({ name, value, warn, critical, below = false, description }) {
+    this.checks.set(name, { value, warn, critical, below, description });
+  }
+
+  getHealth() {
+    const checks = [...this.checks.entries()].map(([name, check]) => {
+      const thresholds = { warn: check.warn, critical: check.critical, ...this.config.thresholds[name] };
+      const value = check.value();
+      const breaches = limit => limit !== undefined && limit !== null && value !== null &&
+        (check.below ? value < limit : value > limit);
+
+      const status = breaches(thresholds.critical) ? 'critical' : breaches(thresholds.warn) ? 'warn' : 'ok';
+      return { name, status, value, warn: thresholds.warn, critical: thresholds.critical, description: check.description };
+    });
+
+    const worst = checks.reduce((rank, check) => Math.max(rank, STATUS_RANK[check.status]), 0);
+    return { status: HEALTH_STATUS[worst], checks, timestamp: new Date().toISOString() };
+  }
+
+  // Export
+
+  getMetrics() {
+    const latency = {};
+    for (const name of this.histograms.keys()) {
+      latency[name] = this.getLatency(name);
+    }
+
+    const counters = {};
+    for (const [name, counter] of this.counters.entries()) {
+      counters[name] = [...counter.series.values()].map(({ labels, value }) => ({ labels, value }));
+    }
+
+    const gauges = {};
+    for (const [name, gauge] of this.gauges.entries()) {
+      gauges[name] = gauge.read();
+    }
+
+    return {
+      uptimeSeconds: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0,
+      hitRates: Object.fromEntries(this.cacheLayers().map(layer => [layer, this.getHitRate(layer)])),
+      counters,
+      latency,
+      gauges,
+      health: this.getHealth()
+    };
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format (version 0.0.4)
+   */
+  toPrometheus() {
+    const prefix = this.config.prefix;
+    const lines = [];
+
+    for (const [name, counter] of this.counters.entries()) {
+      lines.push(`# HELP ${prefix}${name} ${counter.help}`, `# TYPE ${prefix}${name} counter`);
+      for (const { labels, value } of counter.series.values()) {
+        lines.push(`${prefix}${name}${HealthMonitor.formatLabels(labels)} ${value}`);
+      }
+    }
+
+    for (const [name, histogram] of this.histograms.entries()) {
+      lines.push(`# HELP ${prefix}${name} ${histogram.help}`, `# TYPE ${prefix}${name} histogram`);
+      for (const { labels, counts, sum, count } of histogram.series.values()) {
+        let cumulative = 0;
+        this.config.buckets.forEach((bound, index) => {
+          cumulative += counts[index];
+          lines.push(`${prefix}${name}_bucket${HealthMonitor.formatLabels({ ...labels, le: String(bound) })} ${cumulative}`);
+        });
+        lines.push(`${prefix}${name}_bucket${HealthMonitor.formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${prefix}${name}_sum${HealthMonitor.formatLabels(labels)} ${sum}`);
+        lines.push(`${prefix}${name}_count${HealthMonitor.formatLabels(labels)} ${count}`);
+      }
+    }
+
+    const gauges = [...this.gauges.entries()]
+      .map(([name, gauge]) => [name, gauge.help, gauge.read()])
+      .filter(([, , value]) => typeof value === 'number' && Number.isFinite(value));
+    const health = this.getHealth();
+    gauges.push(['uptime_seconds', 'Seconds since the monitor started',
+      this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0]);
+    gauges.push(['health_status', 'Overall health: 0 healthy, 1 degraded, 2 unhealthy', HEALTH_STATUS.indexOf(health.status)]);
+
+    for (const [name, help, value] of gauges) {
+      lines.push(`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} gauge`, `${prefix}${name} ${value}`);
+    }
+
+    lines.push(`# HELP ${prefix}health_check_status Health check status: 0 ok, 1 warn, 2 critical`,
+      `# TYPE ${prefix}health_check_status gauge`);
+    health.checks.forEach(check => {
+      lines.push(`${prefix}health_check_status${HealthMonitor.formatLabels({ check: check.name })} ${STATUS_RANK[check.status]}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Private helper methods
+
+  cacheLayers() {
+    const series = this.counters.get('cache_requests_total').series.values();
+    return [...new Set([...series].map(({ labels }) => labels.layer))];
+  }
+
+  quantile(counts, total, q) {
+    // Linear interpolation inside the bucket that holds the q-th observation (like histogram_quantile)
+    const rank = q * total;
+    let cumulative = 0;
+    for (let index = 0; index < counts.length; index++) {
+      const previous = cumulative;
+      cumulative += counts[index];
+      if (cumulative >= rank && counts[index] > 0) {
+        const lower = index === 0 ? 0 : this.config.buckets[index - 1];
+        const upper = this.config.buckets[index];
+        return lower + (upper - lower) * ((rank - previous) / counts[index]);
+      }
+    }
+    // Beyond the last bucket: the best bound we can give
+    return this.config.buckets[this.config.buckets.length - 1];
+  }
+
+  static labelKey(labels) {
+    return Object.keys(labels).sort().map(label => `${label}=${labels[label]}`).join(',');
+  }
+
+  static formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([label, value]) => `${label}="${escape(value)}"`).join(',')}}`;
+  }
+}
+
+module.exports = HealthMonitor;
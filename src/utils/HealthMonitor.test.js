@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HealthMonitor = require('./HealthMonitor');
+
+test('hit rates and latencies come from what was recorded', () => {
+  const monitor = new HealthMonitor({ health: { buckets: [0.001, 0.01, 0.1] } });
+  monitor.recordCacheHit();
+  monitor.recordCacheHit();
+  monitor.recordCacheMiss();
+  monitor.recordCacheMiss('l1');
+  monitor.observe('entity_read_duration_seconds', 5, { source: 'l1' });
+  monitor.observe('entity_read_duration_seconds', 0.5, { source: 'cache' });
+
+  assert.equal(monitor.getHitRate('cortex'), 0.667);
+  assert.equal(monitor.getHitRate('l1'), 0);
+  assert.equal(monitor.getHitRate('unused'), null);
+  assert.equal(monitor.getLatency('entity_read_duration_seconds').count, 2);
+  assert.equal(monitor.getLatency('entity_read_duration_seconds', { source: 'l1' }).avgMs, 5);
+  assert.equal(monitor.getLatency('never_recorded').p95Ms, null);
+});
+
+test('health checks use configured thresholds and report the worst status', () => {
+  let backlog = 3;
+  const monitor = new HealthMonitor({ health: { thresholds: { backlog: { critical: 10 } } } });
+  monitor.addCheck({ name: 'backlog', value: () => backlog, warn: 2, critical: 100 });
+  monitor.addCheck({ name: 'hit_rate', value: () => null, warn: 0.5, below: true });
+
+  assert.equal(monitor.getHealth().status, 'degraded');
+  backlog = 11;
+  const health = monitor.getHealth();
+  assert.equal(health.status, 'unhealthy');
+  assert.deepEqual(health.checks.map(check => check.status), ['critical', 'ok']);
+});
+
+test('the Prometheus export renders counters, cumulative buckets, gauges and checks', async () => {
+  const monitor = new HealthMonitor({ health: { prefix: 'test_', buckets: [0.001, 0.01] } });
+  await monitor.start();
+  monitor.recordCacheHit('l1');
+  monitor.observe('read_seconds', 0.5);
+  monitor.observe('read_seconds', 5);
+  monitor.observe('read_seconds', 50);
+  monitor.defineGauge('queue_depth', 'Queued writes', () => 4);
+  monitor.defineGauge('unknown', 'Not measured yet', () => null);
+  monitor.addCheck({ name: 'queue', value: () => 4, warn: 3 });
+
+  const text = monitor.toPrometheus();
+  const lines = text.split('\n');
+  assert.ok(text.endsWith('\n'));
+  assert.ok(lines.includes('# TYPE test_cache_requests_total counter'));
+  assert.ok(lines.includes('test_cache_requests_total{layer="l1",result="hit"} 1'));
+  assert.ok(lines.includes('test_read_seconds_bucket{le="0.001"} 1'));
+  assert.ok(lines.includes('test_read_seconds_bucket{le="0.01"} 2'));
+  assert.ok(lines.includes('test_read_seconds_bucket{le="+Inf"} 3'));
+  assert.ok(lines.includes('test_read_seconds_count 3'));
+  assert.ok(lines.includes('test_queue_depth 4'));
+  assert.ok(!text.includes('test_unknown'));
+  assert.ok(lines.includes('test_health_status 1'));
+  assert.ok(lines.includes('test_health_check_status{check="queue"} 1'));
+});
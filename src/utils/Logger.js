@@ -0,0 +1,127 @@
+/**
+ * Logger - Leveled, structured logging for all Cortex components
+ * Revolutionary AGI Memory Management System - Logging
+ *
+ * Every component logs `logger.<level>(message, fields)`. Pass `config.logger`
+ * to route the output: a Logger instance, or any object with debug/info/warn/error
+ * methods taking `(message, fields)`. `config.logLevel` sets the level of the
+ * default console logger ('debug', 'info', 'warn', 'error' or 'silent').
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+class Logger {
+  /**
+   * @param {Object} options - level, format ('text' | 'json'), stream (default: console), fields, sink
+   */
+  constructor(options = {}) {
+    const level = options.level || 'info';
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level '${level}'. Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    this.level = level;
+    this.format = options.format || 'text';
+    this.stream = options.stream || null;
+    this.fields = options.fields || {};
+    // sink({ level, message, fields, time }) replaces the built-in output entirely
+    this.sink = options.sink || (entry => this.write(entry));
+  }
+
+  /**
+   * Resolve `config.logger` / `config.logLevel` into a Logger
+   */
+  static from(logger, level) {
+    if (logger instanceof Logger) {
+      return logger;
+    }
+
+    if (logger && typeof logger === 'object') {
+      const missing = ['debug', 'info', 'warn', 'error'].filter(method => typeof logger[method] !== 'function');
+      if (missing.length > 0) {
+        throw new Error(`Logger is missing method(s): ${missing.join(', ')}`);
+      }
+      // The injected logger applies its own level filtering
+      return new Logger({ level: 'debug', sink: ({ level: entryLevel, message, fields }) => logger[entryLevel](message, fields) });
+    }
+
+    return new Logger({ level: level || 'info' });
+  }
+
+  static silent() {
+    return new Logger({ level: 'silent' });
+  }
+
+  /**
+   * Logger that adds `fields` to every entry (e.g. `{ component: 'l1' }`)
+   */
+  child(fields) {
+    const child = Object.create(Logger.prototype);
+    Object.assign(child, this, { fields: { ...this.fields, ...fields } });
+    return child;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    this.sink({
+      level,
+      message,
+      fields: Logger.serializeFields({ ...this.fields, ...fields }),
+      time: new Date().toISOString()
+    });
+  }
+
+  // Private helper methods
+
+  write({ level, message, fields, time }) {
+    // Text lines stay readable on a console; the component is only worth showing in JSON
+    const { component, ...details } = fields;
+    const line = this.format === 'json'
+      ? JSON.stringify({ time, level, msg: message, ...fields })
+      : `${message}${Object.keys(details).length > 0 ? ` ${JSON.stringify(details)}` : ''}`;
+
+    if (this.stream) {
+      this.stream.write(`${line}\n`);
+    } else if (LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  static serializeFields(fields) {
+    // Errors do not survive JSON.stringify; keep what is useful for diagnosis
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key,
+      value instanceof Error
+        ? { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}) }
+        : value]));
+  }
+}
+
+module.exports = Logger;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('./Logger');
+const CortexManager = require('../core/CortexManager');
+
+function recordingLogger() {
+  const entries = [];
+  const record = level => (message, fields) => entries.push({ level, message, fields });
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') };
+}
+
+test('an injected logger receives structured entries with component fields', () => {
+  const injected = recordingLogger();
+  const logger = Logger.from(injected).child({ component: 'l1' });
+
+  logger.warn('Write failed', { error: Object.assign(new Error('disk full'), { code: 'ENOSPC' }) });
+
+  assert.deepEqual(injected.entries, [{
+    level: 'warn',
+    message: 'Write failed',
+    fields: { component: 'l1', error: { name: 'Error', message: 'disk full', code: 'ENOSPC' } }
+  }]);
+});
+
+test('json output honours the level and writes one line per entry', () => {
+  const lines = [];
+  const logger = new Logger({ level: 'info', format: 'json', stream: { write: line => lines.push(line) } });
+
+  logger.debug('hidden');
+  logger.info('shown', { count: 2 });
+
+  assert.equal(lines.length, 1);
+  assert.deepEqual(JSON.parse(lines[0]), { time: JSON.parse(lines[0]).time, level: 'info', msg: 'shown', count: 2 });
+});
+
+test('Cortex routes its log messages to the injected logger as plain text and emits events', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-logger-'));
+  const injected = recordingLogger();
+  const cortex = new CortexManager({
+    localPath: path.join(dir, 'l1'),
+    manifestPath: path.join(dir, 'l0.json'),
+    auditLogPath: null,
+    storage: 'filesystem',
+    logger: injected
+  });
+  const events = [];
+  cortex.on('initialized', payload => events.push(payload));
+
+  await cortex.initialize();
+  await cortex.createEntity({ name: 'Jane', entityType: 'Person', observations: ['a'] });
+
+  assert.equal(events.length, 1);
+  assert.ok(injected.entries.some(entry => entry.message.startsWith('Cortex initialized')));
+  const decorated = injected.entries.filter(entry => /\p{Extended_Pictographic}/u.test(entry.message));
+  assert.deepEqual(decorated, []);
+});
@@ -0,0 +1,57 @@
+/**
+ * Bounded-concurrency helpers
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/**
+ * Run `worker(item, index)` over items with at most `concurrency` in flight.
+ * Never rejects: resolves to Promise.allSettled-shaped results in input order.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+/**
+ * Serialize async operations per key: `run(key, operation)` starts once earlier
+ * operations on the same key have settled. Different keys run concurrently.
+ */
+function createKeyedLock() {
+  const tails = new Map();
+
+  return {
+    run(key, operation) {
+      const result = (tails.get(key) || Promise.resolve()).then(() => operation());
+      const tail = result.then(() => {}, () => {});
+      tails.set(key, tail);
+      // Drop settled keys so the map only holds entities with work in flight
+      tail.then(() => {
+        if (tails.get(key) === tail) tails.delete(key);
+      });
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createKeyedLock
+};
@@ -0,0 +1,76 @@
+/**
+ * Typed errors for failures callers are expected to handle
+ * Revolutionary AGI Memory Management System - Error Classification
+ *
+ * Layers wrap errors with context (`{ cause }`); callers that map failures to
+ * responses, like HttpGateway, look for these classes along the cause chain
+ * instead of matching messages.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/**
+ * An entity, file or version that does not exist
+ */
+class NotFoundError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+    this.code = 'ENOENT';
+  }
+}
+
+/**
+ * A write that would replace something that already exists
+ */
+class ConflictError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConflictError';
+    this.code = 'EEXIST';
+  }
+}
+
+/**
+ * A call made before initialize() / connect() completed
+ */
+class NotInitializedError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotInitializedError';
+    this.code = 'ENOTREADY';
+  }
+}
+
+/**
+ * A caller-supplied argument that is missing or malformed
+ */
+class InvalidArgumentError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidArgumentError';
+    this.code = 'EINVAL';
+  }
+}
+
+/**
+ * The first error along `error.cause` that is an instance of one of `classes`, or null
+ */
+function findCause(error, ...classes) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (classes.some(ErrorClass => cause instanceof ErrorClass)) {
+      return cause;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  NotFoundError,
+  ConflictError,
+  NotInitializedError,
+  InvalidArgumentError,
+  findCause
+};
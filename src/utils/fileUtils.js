@@ -0,0 +1,34 @@
+/**
+ * File helpers shared by the storage and bootstrap layers
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+let tempCounter = 0;
+
+/**
+ * Write a file atomically: write a sibling temp file, then rename it into place.
+ * Readers see either the old or the new content, never a partial write.
+ * `options.mode` sets the permissions the file is created with.
+ */
+async function writeFileAtomic(filePath, data, options = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+  try {
+    await fs.writeFile(tempPath, data, options.mode ? { mode: options.mode } : undefined);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,56 @@
+/**
+ * Stable content hashing for entities and log records
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+
+/**
+ * JSON with object keys sorted at every level, so equal content always
+ * serializes to the same string
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Keyed hash; unlike sha256() it cannot be checked against guessed input without the secret
+ */
+function hmacSha256(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/**
+ * Hash of an entity's content, ignoring storage bookkeeping
+ * (`metadata` stamps and `schemaVersion`) so the same content hashes the
+ * same before and after a round trip through L1
+ */
+function entityHash(entity) {
+  if (!entity) return null;
+  const { metadata, schemaVersion, ...content } = entity;
+  return sha256(canonicalJson(content));
+}
+
+module.exports = {
+  canonicalJson,
+  sha256,
+  hmacSha256,
+  entityHash
+};
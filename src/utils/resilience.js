@@ -0,0 +1,210 @@
+/**
+ * Resilience helpers - retry with backoff, timeouts and a circuit breaker
+ * Revolutionary AGI Memory Management System - Fault Tolerance
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const { EventEmitter } = require('events');
+
+class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label} timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfter) {
+    super(`Circuit '${name}' is open; retry in ${retryAfter}ms`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.retryAfter = retryAfter;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `fn()` and reject with TimeoutError when it takes longer than `ms`
+ * The operation itself is not cancelled. A falsy `ms` disables the timeout.
+ */
+async function withTimeout(fn, ms, label = 'Operation') {
+  if (!ms || ms === Infinity) {
+    return fn();
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(label, ms)), ms);
+  });
+
+  try {
+    return await Promise.race([fn(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Call `fn(attempt)` until it succeeds, up to `retries` extra attempts
+ * Delays grow exponentially from `minDelay` to at most `maxDelay`, with jitter.
+ * Options: retries (2), minDelay (50), maxDelay (1000), factor (2), jitter (true),
+ * shouldRetry(error) -> boolean, onRetry(error, attempt, delay)
+ */
+async function retry(fn, options = {}) {
+  const retries = options.retries === undefined ? 2 : options.retries;
+  const minDelay = options.minDelay === undefined ? 50 : options.minDelay;
+  const maxDelay = options.maxDelay === undefined ? 1000 : options.maxDelay;
+  const factor = options.factor || 2;
+  const shouldRetry = options.shouldRetry || (() => true);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const ceiling = Math.min(maxDelay, minDelay * Math.pow(factor, attempt));
+      // Jitter spreads retries of concurrent callers so they do not hit the backend in lockstep
+      const delay = Math.round(options.jitter === false ? ceiling : ceiling / 2 + Math.random() * ceiling / 2);
+      if (options.onRetry) {
+        options.onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Stops calling a failing dependency for a while
+ *
+ * closed: calls pass; `failureThreshold` consecutive failures open the circuit.
+ * open: calls fail fast with CircuitOpenError until `resetTimeout` has passed.
+ * half-open: one trial call; success closes the circuit, failure opens it again.
+ *
+ * Emits 'state' with { name, from, to, failures } on every transition.
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} options - name, failureThreshold (5), resetTimeout (30000),
+   *   isFailure(error) -> boolean (errors that say nothing about backend health return false)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'circuit';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = { calls: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  async execute(fn) {
+    this.stats.calls++;
+
+    if (this.state === 'open') {
+      const retryAfter = this.openedAt + this.resetTimeout - Date.now();
+      if (retryAfter > 0) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(this.name, retryAfter);
+      }
+      this.transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(this.name, 0);
+      }
+      this.trialInFlight = true;
+    }
+
+    const trial = this.state === 'half-open';
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure();
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  isOpen() {
+    return this.state === 'open' && this.openedAt + this.resetTimeout > Date.now();
+  }
+
+  reset() {
+    this.failures = 0;
+    this.transition('closed');
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      ...this.stats
+    };
+  }
+
+  // Private helper methods
+
+  onSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  onFailure() {
+    this.failures++;
+    this.stats.failures++;
+
+    // Calls that started before the circuit opened must not extend the open period
+    if (this.state === 'open') return;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.stats.opened++;
+      this.transition('open');
+    }
+  }
+
+  transition(to) {
+    const from = this.state;
+    this.state = to;
+    if (from !== to) {
+      this.emit('state', { name: this.name, from, to, failures: this.failures });
+    }
+  }
+}
+
+module.exports = {
+  retry,
+  withTimeout,
+  sleep,
+  CircuitBreaker,
+  CircuitOpenError,
+  TimeoutError
+};
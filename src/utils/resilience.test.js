@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { retry, withTimeout, CircuitBreaker, CircuitOpenError, TimeoutError } = require('./resilience');
+
+test('retry gives up after `retries` extra attempts and skips errors it should not retry', async () => {
+  let attempts = 0;
+  const retried = [];
+  await assert.rejects(retry(() => {
+    attempts++;
+    throw new Error('flaky');
+  }, { retries: 2, minDelay: 1, onRetry: (error, attempt) => retried.push(attempt) }), /flaky/);
+  assert.equal(attempts, 3);
+  assert.deepEqual(retried, [1, 2]);
+
+  attempts = 0;
+  await assert.rejects(retry(() => {
+    attempts++;
+    throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+  }, { retries: 2, minDelay: 1, shouldRetry: error => error.code !== 'ENOENT' }), /missing/);
+  assert.equal(attempts, 1);
+
+  assert.equal(await retry(attempt => (attempt < 1 ? Promise.reject(new Error('once')) : 'ok'), { minDelay: 1 }), 'ok');
+});
+
+test('withTimeout rejects slow operations with TimeoutError', async () => {
+  await assert.rejects(withTimeout(() => new Promise(resolve => setTimeout(resolve, 50)), 5, 'Slow read'), error =>
+    error instanceof TimeoutError && error.message === 'Slow read timed out after 5ms');
+  assert.equal(await withTimeout(async () => 'fast', 50), 'fast');
+});
+
+test('the circuit opens after repeated failures, fails fast and closes after a successful trial', async () => {
+  const breaker = new CircuitBreaker({ name: 'l1', failureThreshold: 2, resetTimeout: 20, isFailure: error => error.code !== 'ENOENT' });
+  const transitions = [];
+  breaker.on('state', change => transitions.push(`${change.from}->${change.to}`));
+  const fail = () => Promise.reject(new Error('down'));
+
+  // Answers from a healthy backend do not count as failures
+  await assert.rejects(breaker.execute(() => Promise.reject(Object.assign(new Error('missing'), { code: 'ENOENT' }))));
+  await assert.rejects(breaker.execute(fail), /down/);
+  assert.equal(breaker.state, 'closed');
+  await assert.rejects(breaker.execute(fail), /down/);
+  assert.equal(breaker.state, 'open');
+
+  let called = false;
+  await assert.rejects(breaker.execute(async () => { called = true; }), CircuitOpenError);
+  assert.equal(called, false);
+
+  await new Promise(resolve => setTimeout(resolve, 25));
+  assert.equal(await breaker.execute(async () => 'back'), 'back');
+  assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+  assert.equal(breaker.getStats().rejected, 1);
+});
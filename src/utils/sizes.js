@@ -0,0 +1,35 @@
+/**
+ * Human-readable size parsing used for configured budgets ('5MB', '1KB', ...)
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ * @version 3.0.0
+ * @license MIT
+ */
+
+const UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024
+};
+
+/**
+ * Parse a size such as '5MB', '2.1KB', '512B' or a plain byte count into bytes
+ */
+function parseSize(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return Math.floor(value);
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid size '${value}'. Expected a number of bytes or a value like '5MB'.`);
+  }
+
+  const unit = (match[2] || 'B').toUpperCase();
+  return Math.floor(parseFloat(match[1]) * UNITS[unit]);
+}
+
+module.exports = {
+  parseSize
+};